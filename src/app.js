@@ -8,13 +8,17 @@ function finCalcApp() {
         isLoading: true,
         chartType: 'scenarios',
         activeTab: 'portfolio', // 'portfolio' | 'assets'
-        selectedScenario: 'base', // 'pessimistic' | 'base' | 'optimistic'
+        selectedScenario: 'base', // ID сценария из scenarios.list
+        pathScenarioId: 'base', // Сценарий, траектории которого редактируются в настройках
         showAllMobileYears: false, // Для мобильного отображения всех лет
         showAddAsset: false,
         showAddLiability: false,
         showSettings: false,
         selectedAssetIndex: null,
         selectedLiabilityIndex: null,
+        newLiabilityPaymentType: 'annuity',
+        paymentScheduleView: null, // Полный график платежей открытого кредита
+        scheduleShowMonths: false,
 
         // Данные
         portfolio: {
@@ -22,6 +26,68 @@ function finCalcApp() {
             name: 'Мой портфель',
             assets: [],
             liabilities: [],
+            events: [],
+            goals: [],
+            budget: {
+                enabled: false,
+                salary: { amount: 0, growth: 5 },
+                bonuses: [],
+                expenses: []
+            },
+            retirement: {
+                enabled: false,
+                currentAge: 35,
+                retirementAge: 60,
+                lifeExpectancy: 90,
+                monthlySpending: 100000,
+                strategy: 'fixed',
+                withdrawalRate: 4,
+                guardrails: { upper: 20, lower: 20, adjustment: 10 }
+            },
+            cashAccount: {
+                enabled: false,
+                balance: 0,
+                monthlyIncome: 0,
+                incomeGrowth: 5,
+                onDeficit: 'sell',
+                sellOrder: ['cash', 'bonds', 'stocks', 'realty']
+            },
+            debtPayoff: {
+                extraPayment: 10000,
+                customOrder: []
+            },
+            investOrPrepay: {
+                enabled: false,
+                liabilityId: null,
+                monthlyAmount: 20000,
+                assetIds: []
+            },
+            rentVsBuy: {
+                enabled: false,
+                price: 10000000,
+                downPayment: 20,
+                rate: null,
+                termYears: null,
+                monthlyRent: 50000,
+                rentGrowth: null,
+                propertyTax: 0.1,
+                maintenance: 1,
+                insurance: 0,
+                allocation: 'current'
+            },
+            contribution: {
+                amount: 0,
+                frequency: 'monthly',
+                startYear: 1,
+                endYear: null,
+                indexation: 0
+            },
+            rebalancing: {
+                policy: 'none',
+                band: 5,
+                target: 'current',
+                allocation: { stocks: 0, bonds: 0, cash: 0, realty: 0 }
+            },
             totalValue: 0,
             totalLiabilities: 0,
             netWorth: 0
@@ -30,36 +96,59 @@ function finCalcApp() {
         settings: {
             horizonYears: 10,
             inflation: 6.0,
-            showRealValues: false
+            showRealValues: false,
+            resolution: 'yearly',
+            monteCarlo: {
+                simulations: 1000,
+                target: 0,
+                seed: null
+            },
+            tax: {
+                enabled: false,
+                rate: 13,
+                highRate: 15,
+                threshold: 2400000,
+                depositKeyRate: 21
+            }
         },
 
         scenarios: {
-            returnRates: {
-                stocks: { pessimistic: 5, base: 12, optimistic: 20 },
-                bonds: { pessimistic: 3, base: 8, optimistic: 12 },
-                cash: { pessimistic: 4, base: 7, optimistic: 10 },
-                realty: { pessimistic: 0, base: 5, optimistic: 12 }
+            list: [
+                { id: 'pessimistic', name: 'Пессимистичный', color: '#dc2626', inflation: null, paths: {} },
+                { id: 'base', name: 'Базовый', color: '#2563eb', inflation: null, paths: {} },
+                { id: 'optimistic', name: 'Оптимистичный', color: '#059669', inflation: null, paths: {} }
+            ],
+            returnModel: {
+                stocks: { mode: 'premium', pessimistic: -1, base: 5, optimistic: 10 },
+                bonds: { mode: 'premium', pessimistic: -2, base: 1, optimistic: 5 },
+                cash: { mode: 'premium', pessimistic: -1, base: 0, optimistic: 1 },
+                realty: { mode: 'premium', pessimistic: -4, base: 0, optimistic: 2 }
             }
         },
 
-        // Вычисленные данные
+        // Вычисленные данные (массивы по годам хранятся под ID сценариев)
         projections: {
-            pessimistic: [],
             base: [],
-            optimistic: [],
-            future: { pessimistic: 0, base: 0, optimistic: 0 },
+            future: {},
             growthRate: 0,
             riskScore: 1
         },
 
+        // Результаты Монте-Карло симуляции
+        monteCarlo: null,
+        backtest: null,
+        feeCost: null,
+        goalResults: null,
+        retirementResult: null,
+        debtPayoffResult: null,
+        investOrPrepayResult: null,
+        realtyResult: null,
+        rentVsBuyResult: null,
+
         // Детальные проекции по активам
         detailedProjections: {
             assets: {},
-            liabilities: {
-                pessimistic: [],
-                base: [],
-                optimistic: []
-            }
+            liabilities: {}
         },
 
         // Инициализация приложения
@@ -106,6 +195,14 @@ function finCalcApp() {
                     this.portfolio.liabilities = [];
                 }
 
+                // Выбранный сценарий мог быть удален в сохраненных данных
+                if (!this.getScenarioList().some(scenario => scenario.id === this.selectedScenario)) {
+                    this.selectedScenario = this.getBaseScenarioId();
+                }
+                if (!this.getScenarioList().some(scenario => scenario.id === this.pathScenarioId)) {
+                    this.pathScenarioId = this.getBaseScenarioId();
+                }
+
                 // Обновляем общую стоимость портфеля
                 this.updatePortfolioValue();
 
@@ -196,12 +293,24 @@ function finCalcApp() {
 
                 console.log('Chart element found, updating...');
                 try {
-                    // Always show scenarios chart
-                    chartManager.createScenariosChart(
-                        chartElement,
-                        this.projections,
-                        this.settings
-                    );
+                    if (this.chartType === 'backtest' && this.backtest) {
+                        chartManager.createBacktestChart(chartElement, this.backtest, this.settings);
+                    } else if (this.chartType === 'montecarlo' && this.monteCarlo) {
+                        chartManager.createMonteCarloChart(
+                            chartElement,
+                            this.monteCarlo,
+                            this.projections,
+                            this.settings,
+                            this.scenarios
+                        );
+                    } else {
+                        chartManager.createScenariosChart(
+                            chartElement,
+                            this.projections,
+                            this.settings,
+                            this.scenarios
+                        );
+                    }
                     console.log('Chart updated successfully');
                 } catch (error) {
                     console.error('Error updating charts:', error);
@@ -239,12 +348,14 @@ function finCalcApp() {
                     ? financialEngine.calculateMetricsWithLiabilities(
                         this.portfolio,
                         this.projections,
-                        this.settings
+                        this.settings,
+                        this.scenarios
                     )
                     : financialEngine.calculateMetrics(
                         this.portfolio,
                         this.projections,
-                        this.settings
+                        this.settings,
+                        this.scenarios
                     );
 
                 // Обновляем будущие значения
@@ -255,11 +366,20 @@ function finCalcApp() {
                 // Принудительно обновляем реактивность для таблицы
                 this.projections = { ...this.projections };
 
-                console.log('Projections updated:', {
-                    base: this.projections.base?.length,
-                    pessimistic: this.projections.pessimistic?.length,
-                    optimistic: this.projections.optimistic?.length
-                });
+                this.calculateMonteCarlo();
+                this.calculateBacktest();
+                this.calculateFeeCost();
+                this.calculateGoals();
+                this.calculateRetirement();
+                this.calculateDebtPayoff();
+                this.calculateInvestOrPrepay();
+                this.calculateRealtyAnalysis();
+                this.calculateRentVsBuy();
+
+                console.log('Projections updated:', this.getScenarioList().map(scenario => ({
+                    id: scenario.id,
+                    years: this.projections[scenario.id]?.length
+                })));
 
                 eventBus.emit('projections:updated', this.projections);
             } catch (error) {
@@ -267,15 +387,211 @@ function finCalcApp() {
             }
         },
 
+        // Монте-Карло симуляция с коррелированными доходностями
+        calculateMonteCarlo() {
+            try {
+                const options = this.settings.monteCarlo || {};
+                this.monteCarlo = financialEngine.calculateMonteCarloProjection(
+                    this.portfolio,
+                    this.scenarios,
+                    this.settings,
+                    { simulations: options.simulations, target: options.target, seed: options.seed }
+                );
+            } catch (error) {
+                console.error('Error calculating Monte Carlo:', error);
+                this.monteCarlo = null;
+            }
+        },
+
+        // Исторический бэктест по локальным рядам доходностей
+        calculateBacktest() {
+            try {
+                this.backtest = financialEngine.calculateBacktest(this.portfolio, this.settings);
+            } catch (error) {
+                console.error('Error calculating backtest:', error);
+                this.backtest = null;
+            }
+        },
+
+        // Стоимость комиссий за горизонт (основной сценарий)
+        calculateFeeCost() {
+            try {
+                this.feeCost = financialEngine.calculateFeeCost(this.portfolio, this.scenarios, this.settings);
+            } catch (error) {
+                console.error('Error calculating fee cost:', error);
+                this.feeCost = null;
+            }
+        },
+
+        // Финансовые цели: статус по сценариям (вероятность и решатели - по кнопкам, calculateGoalProbability и solveGoal)
+        calculateGoals() {
+            try {
+                this.goalResults = financialEngine.calculateGoals(
+                    this.portfolio,
+                    this.scenarios,
+                    this.settings,
+                    { simulations: 0 }
+                );
+            } catch (error) {
+                console.error('Error calculating goals:', error);
+                this.goalResults = null;
+            }
+        },
+
+        // Пенсия: год финансовой независимости, на сколько хватит денег, вероятность их исчерпания.
+        // Вероятность берется из основного Монте-Карло, если его горизонт доходит до конца плана,
+        // иначе считается по кнопке (calculateRetirementRuin)
+        calculateRetirement() {
+            try {
+                this.retirementResult = financialEngine.calculateRetirement(
+                    this.portfolio,
+                    this.scenarios,
+                    this.settings,
+                    { simulations: 0 }
+                );
+                if (this.retirementResult && this.monteCarlo?.simulations > 0
+                    && this.retirementResult.horizonYears <= this.settings.horizonYears) {
+                    this.retirementResult.probabilityOfRuin = this.monteCarlo?.retirement?.probabilityOfRuin ?? null;
+                }
+            } catch (error) {
+                console.error('Error calculating retirement:', error);
+                this.retirementResult = null;
+            }
+        },
+
+        // Монте-Карло пенсии за пределами горизонта расчета
+        calculateRetirementRuin() {
+            if (!this.retirementResult) return;
+
+            try {
+                const options = this.settings.monteCarlo || {};
+                this.retirementResult = {
+                    ...this.retirementResult,
+                    probabilityOfRuin: financialEngine.calculateRetirementRuin(
+                        this.portfolio,
+                        this.scenarios,
+                        this.settings,
+                        { simulations: options.simulations, seed: options.seed }
+                    )
+                };
+            } catch (error) {
+                console.error('Error calculating retirement ruin:', error);
+            }
+        },
+
+        // Сравнение стратегий погашения долгов
+        calculateDebtPayoff() {
+            try {
+                this.debtPayoffResult = financialEngine.calculateDebtPayoff(this.portfolio);
+            } catch (error) {
+                console.error('Error calculating debt payoff:', error);
+                this.debtPayoffResult = null;
+            }
+
+            this.$nextTick(() => {
+                const canvas = this.$refs.debtPayoffChart || document.querySelector('canvas[x-ref="debtPayoffChart"]');
+                if (canvas && this.debtPayoffResult) {
+                    chartManager.createDebtPayoffChart(canvas, this.debtPayoffResult, liabilityClasses.payoffStrategies);
+                } else {
+                    chartManager.destroy('debt-payoff');
+                }
+            });
+        },
+
+        // Сравнение «гасить кредит или инвестировать»
+        calculateInvestOrPrepay() {
+            try {
+                this.investOrPrepayResult = financialEngine.calculateInvestOrPrepay(this.portfolio, this.scenarios, this.settings);
+            } catch (error) {
+                console.error('Error calculating invest or prepay:', error);
+                this.investOrPrepayResult = null;
+            }
+        },
+
+        // Сравнение «арендовать или купить жилье»
+        calculateRentVsBuy() {
+            try {
+                this.rentVsBuyResult = financialEngine.calculateRentVsBuy(this.portfolio, this.scenarios, this.settings);
+            } catch (error) {
+                console.error('Error calculating rent vs buy:', error);
+                this.rentVsBuyResult = null;
+            }
+        },
+
+        // Доходность недвижимости: аренда, расходы владения, LTV по сценариям
+        calculateRealtyAnalysis() {
+            try {
+                this.realtyResult = financialEngine.calculateRealtyAnalysis(this.portfolio, this.scenarios, this.settings);
+            } catch (error) {
+                console.error('Error calculating realty analysis:', error);
+                this.realtyResult = null;
+            }
+        },
+
+        // Стоимость комиссий актива за горизонт
+        getAssetFeeCost(asset, index) {
+            const assetId = asset.id || `asset_${index}`;
+            return this.feeCost?.assets.find(item => item.id === assetId)?.cost || 0;
+        },
+
+        // Есть ли в портфеле комиссии
+        hasFees() {
+            return this.portfolio.assets.some(asset =>
+                asset.fees && (asset.fees.management || asset.fees.custody || asset.fees.commission));
+        },
+
+        // Итог худшего/медианного/лучшего исторического периода
+        getBacktestFinal(key) {
+            const run = this.backtest?.[key];
+            if (!run) return 0;
+            return this.settings.showRealValues ? run.real : run.netWorth;
+        },
+
+        // Значение перцентиля Монте-Карло на горизонте
+        getMonteCarloFinal(key) {
+            const finalYear = this.monteCarlo?.years[this.monteCarlo.years.length - 1];
+            if (!finalYear) return 0;
+            return this.settings.showRealValues ? finalYear.real[key] : finalYear[key];
+        },
+
+        // Перезапуск Монте-Карло: с тем же зерном результат повторяется, с новым - меняется
+        rerunMonteCarlo(newSeed = false) {
+            if (newSeed) {
+                this.settings.monteCarlo.seed = calculations.generateSeed();
+            }
+
+            this.calculateMonteCarlo();
+            this.calculateGoals();
+            this.calculateRetirement();
+            this.updateCharts();
+            this.saveData();
+        },
+
+        // Обновление параметров Монте-Карло
+        updateMonteCarloSettings(field, value) {
+            if (!this.settings.monteCarlo) {
+                this.settings.monteCarlo = { simulations: 1000, target: 0, seed: calculations.generateSeed() };
+            }
+            this.settings.monteCarlo[field] = value || 0;
+
+            this.calculateMonteCarlo();
+            this.calculateGoals();
+            this.calculateRetirement();
+            this.updateCharts();
+            this.saveData();
+        },
+
         // Обновление общей стоимости портфеля
         updatePortfolioValue() {
             this.portfolio.totalValue = this.portfolio.assets.reduce(
                 (sum, asset) => sum + (asset.value || 0), 0
             );
 
-            this.portfolio.totalLiabilities = this.portfolio.liabilities.reduce(
-                (sum, liability) => sum + (liability.currentBalance || 0), 0
-            );
+            // Остаток уже выданных кредитов уменьшается с каждым внесенным платежом
+            this.portfolio.totalLiabilities = this.portfolio.liabilities.reduce((sum, liability) => {
+                liability.currentBalance = liabilityClasses.getCurrentBalance(liability);
+                return sum + liability.currentBalance;
+            }, 0);
 
             this.portfolio.netWorth = this.portfolio.totalValue - this.portfolio.totalLiabilities;
         },
@@ -320,17 +636,374 @@ function finCalcApp() {
             }
         },
 
+        // === МЕТОДЫ ДЛЯ БЮДЖЕТА ===
+
+        // Включение бюджета и параметры зарплаты
+        updateBudget(field, value) {
+            if (field === 'enabled') {
+                this.portfolio.budget.enabled = !!value;
+            } else {
+                this.portfolio.budget.salary[field] = parseFloat(value) || 0;
+            }
+            this.recalculatePortfolio();
+        },
+
+        // Добавление премии
+        addBudgetBonus() {
+            this.portfolio.budget.bonuses.push(budgetCategories.createBonus());
+            this.recalculatePortfolio();
+        },
+
+        // Удаление премии
+        removeBudgetBonus(index) {
+            this.portfolio.budget.bonuses.splice(index, 1);
+            this.recalculatePortfolio();
+        },
+
+        // Обновление премии
+        updateBudgetBonus(index, field, value) {
+            const bonus = this.portfolio.budget.bonuses[index];
+            if (!bonus) return;
+
+            bonus[field] = field === 'name' ? value : Math.max(0, parseFloat(value) || 0);
+            this.recalculatePortfolio();
+        },
+
+        // Добавление статьи расходов по категории
+        addBudgetExpense(category) {
+            this.portfolio.budget.expenses.push(budgetCategories.createExpense(category));
+            this.recalculatePortfolio();
+        },
+
+        // Удаление статьи расходов
+        removeBudgetExpense(index) {
+            this.portfolio.budget.expenses.splice(index, 1);
+            this.recalculatePortfolio();
+        },
+
+        // Обновление статьи расходов (пустая инфляция - инфляция сценария)
+        updateBudgetExpense(index, field, value) {
+            const expense = this.portfolio.budget.expenses[index];
+            if (!expense) return;
+
+            if (field === 'inflation') {
+                expense.inflation = value === '' || value === null ? null : parseFloat(value);
+            } else if (field === 'amount') {
+                expense.amount = Math.max(0, parseFloat(value) || 0);
+            } else {
+                expense[field] = value;
+            }
+            this.recalculatePortfolio();
+        },
+
+        // Категории расходов
+        getAllExpenseCategories() {
+            return budgetCategories.getAllCategories();
+        },
+
+        // Иконка категории расходов
+        getExpenseIcon(category) {
+            return budgetCategories.getCategoryInfo(category).icon;
+        },
+
+        // Названия месяцев для премий
+        getMonthNames() {
+            return budgetCategories.months;
+        },
+
+        // Средний месяц первого года основного сценария: доходы, расходы, кредиты, профицит
+        getBudgetMonthSummary() {
+            const firstYear = this.getBaseProjection()[1]?.budget;
+            if (!firstYear) {
+                return { income: 0, expenses: 0, loanPayments: 0, surplus: 0 };
+            }
+            return {
+                income: firstYear.income / 12,
+                expenses: firstYear.expenses / 12,
+                loanPayments: firstYear.loanPayments / 12,
+                surplus: firstYear.surplus / 12
+            };
+        },
+
+        // === МЕТОДЫ ДЛЯ ДЕНЕЖНОГО СЧЕТА ===
+
+        // Обновление денежного счета
+        updateCashAccount(field, value) {
+            const account = this.portfolio.cashAccount;
+
+            if (field === 'enabled') {
+                account.enabled = !!value;
+            } else if (field === 'onDeficit') {
+                account.onDeficit = value;
+            } else if (field === 'balance') {
+                account.balance = parseFloat(value) || 0;
+            } else {
+                account[field] = Math.max(0, parseFloat(value) || 0);
+            }
+            this.recalculatePortfolio();
+        },
+
+        // Перемещение типа актива в очереди продаж при дефиците
+        moveCashSellOrder(index, direction) {
+            const order = [...this.portfolio.cashAccount.sellOrder];
+            const target = index + direction;
+            if (target < 0 || target >= order.length) return;
+
+            [order[index], order[target]] = [order[target], order[index]];
+            this.portfolio.cashAccount.sellOrder = order;
+            this.recalculatePortfolio();
+        },
+
+        // Режимы покрытия дефицита
+        getDeficitModes() {
+            return budgetCategories.getDeficitModes();
+        },
+
+        // Первый год основного сценария, в котором счет закончился в минусе
+        getCashDeficitYear() {
+            const deficitYear = this.getBaseProjection().find(yearData => yearData.cashFlow?.deficit > 0.5);
+            return deficitYear ? deficitYear.year : null;
+        },
+
+        // Есть ли в портфеле недвижимость с заданной арендой или расходами владения
+        hasRentalFlows() {
+            return this.portfolio.assets.some(asset => asset.type === 'realty' && asset.rental &&
+                ['monthlyRent', 'propertyTax', 'maintenance', 'insurance'].some(field => (asset.rental[field] || 0) > 0));
+        },
+
+        // === МЕТОДЫ ДЛЯ ЖИЗНЕННЫХ СОБЫТИЙ ===
+
+        // Добавление события по шаблону
+        addLifeEvent(eventType) {
+            if (!this.portfolio.events) {
+                this.portfolio.events = [];
+            }
+
+            this.portfolio.events.push(lifeEvents.createDefaultEvent(eventType));
+            this.recalculatePortfolio();
+        },
+
+        // Удаление события
+        removeLifeEvent(index) {
+            if (index >= 0 && index < this.portfolio.events.length) {
+                this.portfolio.events.splice(index, 1);
+                this.recalculatePortfolio();
+            }
+        },
+
+        // Обновление события (пустой актив - весь портфель)
+        updateLifeEvent(index, field, value) {
+            const event = this.portfolio.events[index];
+            if (!event) return;
+
+            if (field === 'amount') {
+                event.amount = Math.abs(parseFloat(value) || 0);
+            } else if (field === 'acquire' || field === 'assetId') {
+                event[field] = value || null;
+            } else {
+                event[field] = value;
+            }
+
+            // Поступления не берутся в кредит
+            if (event.direction === 'inflow' && event.funding === 'loan') {
+                event.funding = 'portfolio';
+            }
+
+            this.recalculatePortfolio();
+        },
+
+        // Обновление условий кредита события
+        updateLifeEventLoan(index, field, value) {
+            const event = this.portfolio.events[index];
+            if (!event) return;
+
+            event.loan[field] = field === 'type' || field === 'paymentType' ? value : Math.max(0, parseFloat(value) || 0);
+            this.recalculatePortfolio();
+        },
+
+        // Получение всех шаблонов событий
+        getAllEventTypes() {
+            return lifeEvents.getAllEventTypes();
+        },
+
+        // Иконка события
+        getEventIcon(eventType) {
+            return lifeEvents.getEventInfo(eventType).icon;
+        },
+
+        // Источники средств события (кредит - только для трат)
+        getEventFundingSources(event) {
+            const sources = { ...lifeEvents.fundingSources };
+            if (event.direction === 'inflow') {
+                delete sources.loan;
+            }
+            return sources;
+        },
+
+        // Через сколько лет наступит событие (null - дата не задана)
+        getLifeEventTime(event) {
+            return financialEngine.getTimeFromToday(event.date);
+        },
+
+        // Ежемесячный платеж по кредиту события
+        getLifeEventPayment(event) {
+            return liabilityClasses.calculateMonthlyPayment(
+                event.amount || 0, event.loan?.rate || 0, event.loan?.termYears || 0, event.loan?.paymentType
+            );
+        },
+
+        // Сумма трат события, которую не покрыли активы основного сценария
+        getLifeEventShortfall(event) {
+            const applied = this.getBaseProjection()
+                .flatMap(yearData => yearData.events || [])
+                .find(item => item.id === event.id);
+            return applied ? applied.shortfall : 0;
+        },
+
+        // === МЕТОДЫ ДЛЯ ПЕНСИИ ===
+
+        // Обновление пенсионного плана
+        updateRetirement(field, value) {
+            const plan = this.portfolio.retirement;
+
+            if (field === 'enabled') {
+                plan.enabled = !!value;
+            } else if (field === 'strategy') {
+                plan.strategy = value;
+            } else {
+                plan[field] = Math.max(0, parseFloat(value) || 0);
+            }
+            this.recalculatePortfolio();
+        },
+
+        // Обновление коридора стратегии guardrails
+        updateRetirementGuardrails(field, value) {
+            this.portfolio.retirement.guardrails[field] = Math.max(0, parseFloat(value) || 0);
+            this.recalculatePortfolio();
+        },
+
+        // Получение всех стратегий изъятий
+        getAllWithdrawalStrategies() {
+            return withdrawalStrategies.getAllStrategies();
+        },
+
+        // Описание стратегии изъятий
+        getWithdrawalStrategyDescription(strategy) {
+            return withdrawalStrategies.getStrategyInfo(strategy).description;
+        },
+
+        // Пенсионные показатели сценария
+        getRetirementScenario(scenarioId) {
+            return this.retirementResult?.scenarios[scenarioId] || null;
+        },
+
+        // === МЕТОДЫ ДЛЯ ФИНАНСОВЫХ ЦЕЛЕЙ ===
+
+        // Добавление цели по шаблону
+        addGoal(goalType) {
+            if (!this.portfolio.goals) {
+                this.portfolio.goals = [];
+            }
+
+            this.portfolio.goals.push(goalTypes.createDefaultGoal(goalType));
+            this.recalculatePortfolio();
+        },
+
+        // Удаление цели
+        removeGoal(index) {
+            if (index >= 0 && index < this.portfolio.goals.length) {
+                this.portfolio.goals.splice(index, 1);
+                this.recalculatePortfolio();
+            }
+        },
+
+        // Обновление цели
+        updateGoal(index, field, value) {
+            const goal = this.portfolio.goals[index];
+            if (!goal) return;
+
+            goal[field] = field === 'amount' ? Math.max(0, parseFloat(value) || 0) : value;
+            this.recalculatePortfolio();
+        },
+
+        // Привязка актива к цели и отвязка (без активов цель финансируется из всего портфеля)
+        toggleGoalAsset(index, assetId) {
+            const goal = this.portfolio.goals[index];
+            if (!goal) return;
+
+            goal.assetIds = goal.assetIds.includes(assetId)
+                ? goal.assetIds.filter(id => id !== assetId)
+                : [...goal.assetIds, assetId];
+            this.recalculatePortfolio();
+        },
+
+        // Получение всех шаблонов целей
+        getAllGoalTypes() {
+            return goalTypes.getAllGoalTypes();
+        },
+
+        // Иконка цели
+        getGoalIcon(goalType) {
+            return goalTypes.getGoalInfo(goalType).icon;
+        },
+
+        // Приоритеты целей
+        getGoalPriorities() {
+            return goalTypes.priorities;
+        },
+
+        // Результат расчета цели (null - дата прошла или сумма не задана)
+        getGoalResult(goal) {
+            return this.goalResults?.goals.find(result => result.id === goal.id) || null;
+        },
+
+        // Вероятность успеха цели по Монте-Карло - по запросу, до следующего пересчета
+        calculateGoalProbability(goal) {
+            const result = this.getGoalResult(goal);
+            if (!result) return;
+
+            try {
+                const options = this.settings.monteCarlo || {};
+                const probability = financialEngine.calculateGoalProbability(
+                    this.portfolio, this.scenarios, this.settings, goal.id,
+                    { simulations: options.simulations, seed: options.seed }
+                );
+                this.goalResults = {
+                    ...this.goalResults,
+                    goals: this.goalResults.goals.map(item => (item === result ? { ...item, probability } : item))
+                };
+            } catch (error) {
+                console.error('Error calculating goal probability:', error);
+            }
+        },
+
+        // Нужные взнос и доходность цели - по запросу, до следующего пересчета
+        solveGoal(goal) {
+            const result = this.getGoalResult(goal);
+            if (!result) return;
+
+            try {
+                const solution = financialEngine.solveGoal(this.portfolio, this.scenarios, this.settings, goal.id);
+                this.goalResults = {
+                    ...this.goalResults,
+                    goals: this.goalResults.goals.map(item => (item === result ? { ...item, ...solution } : item))
+                };
+            } catch (error) {
+                console.error('Error solving goal:', error);
+            }
+        },
+
         // === МЕТОДЫ ДЛЯ ОБЯЗАТЕЛЬСТВ ===
 
         // Добавление обязательства
-        addLiability(liabilityType, principal, rate, termYears) {
+        addLiability(liabilityType, principal, rate, termYears, paymentType = 'annuity') {
             try {
                 // Убеждаемся, что массив обязательств существует
                 if (!this.portfolio.liabilities) {
                     this.portfolio.liabilities = [];
                 }
 
-                const newLiability = liabilityClasses.createDefaultLiability(liabilityType, principal, rate, termYears);
+                const newLiability = liabilityClasses.createDefaultLiability(liabilityType, principal, rate, termYears, paymentType);
                 this.portfolio.liabilities.push(newLiability);
 
                 // Немедленно пересчитываем портфель
@@ -413,7 +1086,7 @@ function finCalcApp() {
 
         // Получение остатка обязательства через N лет
         getLiabilityBalance(liability, years = 0) {
-            return liabilityClasses.calculateRemainingBalance(liability, years);
+            return liabilityClasses.calculateRemainingBalance(liabilityClasses.getOutstandingLoan(liability), years);
         },
 
         // Обновление обязательства с пересчетом портфеля
@@ -422,14 +1095,14 @@ function finCalcApp() {
                 this.portfolio.liabilities[index][field] = value;
 
                 // Если изменились параметры кредита, пересчитываем платеж
-                if (['principal', 'rate', 'termYears'].includes(field)) {
+                if (['principal', 'rate', 'termYears', 'paymentType'].includes(field)) {
                     const liability = this.portfolio.liabilities[index];
                     liability.monthlyPayment = liabilityClasses.calculateMonthlyPayment(
                         liability.principal || 0,
                         liability.rate || 0,
-                        liability.termYears || 1
+                        liability.termYears || 1,
+                        liability.paymentType
                     );
-                    liability.currentBalance = liability.principal || 0;
                 }
 
                 this.updatePortfolioValue();
@@ -450,8 +1123,253 @@ function finCalcApp() {
             }
         },
 
+        // Дата выдачи, число внесенных платежей и фактический остаток (пусто - по графику)
+        updateLiabilityHistory(index, field, value) {
+            if (field === 'startDate') {
+                this.updateLiabilityValue(index, field, value || null);
+                return;
+            }
+
+            const number = parseFloat(value);
+            this.updateLiabilityValue(index, field, value === '' || Number.isNaN(number) ? null : Math.max(0, number));
+        },
+
+        // Текущий платеж: по остатку на оставшийся срок (для дифференцированного - платеж этого месяца)
+        getCurrentPayment(liability) {
+            return liabilityClasses.getOutstandingLoan(liability).monthlyPayment || 0;
+        },
+
+        // Сверка кредита: внесенные платежи, оставшийся срок, остаток по графику и расхождение с фактом
+        getLoanReconciliation(liability) {
+            return liabilityClasses.getLoanReconciliation(liability);
+        },
+
+        // Добавление досрочного погашения
+        addPrepayment(index, kind = 'once') {
+            const liability = this.portfolio.liabilities[index];
+            if (!liability) return;
+
+            if (!Array.isArray(liability.prepayments)) {
+                liability.prepayments = [];
+            }
+            liability.prepayments.push(liabilityClasses.createPrepayment(kind));
+            this.recalculatePortfolio();
+        },
+
+        // Удаление досрочного погашения
+        removePrepayment(index, prepaymentIndex) {
+            const liability = this.portfolio.liabilities[index];
+            if (!liability) return;
+
+            liability.prepayments.splice(prepaymentIndex, 1);
+            this.recalculatePortfolio();
+        },
+
+        // Обновление досрочного погашения (пустая дата окончания - до конца кредита)
+        updatePrepayment(index, prepaymentIndex, field, value) {
+            const prepayment = this.portfolio.liabilities[index]?.prepayments[prepaymentIndex];
+            if (!prepayment) return;
+
+            if (field === 'amount') {
+                prepayment.amount = Math.max(0, parseFloat(value) || 0);
+            } else if (field === 'endDate') {
+                prepayment.endDate = value || null;
+            } else {
+                prepayment[field] = value;
+            }
+            this.recalculatePortfolio();
+        },
+
+        // Виды платежей по кредиту
+        getPaymentTypes() {
+            return liabilityClasses.paymentTypes;
+        },
+
+        // Переплата по кредиту с учетом вида платежей и досрочных погашений
+        getLiabilityTotals(liability) {
+            return liabilityClasses.calculateTotalPayments(liabilityClasses.getOutstandingLoan(liability));
+        },
+
+        // Открыть полный график платежей кредита
+        openPaymentSchedule(index) {
+            const liability = this.portfolio.liabilities[index];
+            if (!liability) return;
+
+            this.paymentScheduleView = {
+                name: liability.name,
+                ...liabilityClasses.getAmortizationSchedule(liability)
+            };
+            this.$nextTick(() => {
+                const canvas = this.$refs.scheduleChart || document.querySelector('canvas[x-ref="scheduleChart"]');
+                if (canvas) {
+                    chartManager.createAmortizationChart(canvas, this.paymentScheduleView, this.paymentScheduleView.name);
+                }
+            });
+        },
+
+        closePaymentSchedule() {
+            this.paymentScheduleView = null;
+            chartManager.destroy('amortization');
+        },
+
+        // Выгрузка полного графика платежей в CSV
+        exportPaymentSchedule() {
+            const view = this.paymentScheduleView;
+            if (!view) return;
+
+            const rows = [['Месяц', 'Дата', 'Платеж', 'Основной долг', 'Проценты', 'Досрочно', 'Остаток', 'Проценты нарастающим итогом']];
+            view.years.forEach(year => {
+                year.rows.forEach(row => rows.push([
+                    row.month, row.date.toISOString().split('T')[0], row.payment, row.principal, row.interest,
+                    row.prepayment, row.remainingBalance, row.cumulativeInterest
+                ]));
+                rows.push([
+                    `Итого ${year.year}`, '', year.payment, year.principal, year.interest,
+                    year.prepayment, year.remainingBalance, year.cumulativeInterest
+                ]);
+            });
+            rows.push(['Итого', '', view.totals.payment, view.totals.principal, view.totals.interest, view.totals.prepayment, '', '']);
+
+            dataManager.exportCsv(rows, `fincalc-schedule-${new Date().toISOString().split('T')[0]}.csv`);
+        },
+
+        // Виды и режимы досрочного погашения
+        getPrepaymentKinds() {
+            return liabilityClasses.prepaymentKinds;
+        },
+
+        getPrepaymentModes() {
+            return liabilityClasses.prepaymentModes;
+        },
+
+        // Новая дата закрытия кредита и экономия на процентах
+        getPrepaymentSummary(liability) {
+            return liabilityClasses.getPrepaymentSummary(liabilityClasses.getOutstandingLoan(liability));
+        },
+
+        // Дата в формате «месяц год»
+        formatMonthYear(date) {
+            return formatters.formatDate(date, { day: undefined });
+        },
+
         // === КОНЕЦ МЕТОДОВ ДЛЯ ОБЯЗАТЕЛЬСТВ ===
 
+        // === МЕТОДЫ ДЛЯ ПОГАШЕНИЯ ДОЛГОВ ===
+
+        // Дополнительный бюджет на погашение в месяц
+        updateDebtPayoff(field, value) {
+            this.portfolio.debtPayoff[field] = Math.max(0, parseFloat(value) || 0);
+            this.calculateDebtPayoff();
+            this.saveData();
+        },
+
+        // Кредиты в своей очередности погашения (новые - в конце)
+        getDebtCustomOrder() {
+            const order = this.portfolio.debtPayoff.customOrder;
+            const position = (liability) => {
+                const index = order.indexOf(liability.id);
+                return index === -1 ? order.length : index;
+            };
+            return [...this.portfolio.liabilities].sort((a, b) => position(a) - position(b));
+        },
+
+        // Сдвинуть кредит в своей очередности: direction -1 - раньше, 1 - позже
+        moveDebtPriority(liabilityId, direction) {
+            const order = this.getDebtCustomOrder().map(liability => liability.id);
+            const index = order.indexOf(liabilityId);
+            const target = index + direction;
+            if (index === -1 || target < 0 || target >= order.length) return;
+
+            [order[index], order[target]] = [order[target], order[index]];
+            this.portfolio.debtPayoff.customOrder = order;
+            this.calculateDebtPayoff();
+            this.saveData();
+        },
+
+        getPayoffStrategies() {
+            return liabilityClasses.payoffStrategies;
+        },
+
+        // Дата через N месяцев от сегодня
+        getDebtPayoffDate(months) {
+            const date = new Date();
+            date.setMonth(date.getMonth() + months);
+            return this.formatMonthYear(date);
+        },
+
+        // Срок закрытия кредита по стратегии ('baseline' - только обязательные платежи)
+        getDebtLoanPayoff(strategy, liabilityId) {
+            const result = strategy === 'baseline'
+                ? this.debtPayoffResult?.baseline
+                : this.debtPayoffResult?.strategies[strategy];
+            return result?.loans.find(loan => loan.id === liabilityId) || null;
+        },
+
+        // Параметры сравнения «гасить или инвестировать» (assetId '' - весь портфель)
+        updateInvestOrPrepay(field, value) {
+            const plan = this.portfolio.investOrPrepay;
+
+            if (field === 'enabled') {
+                plan.enabled = !!value;
+            } else if (field === 'liabilityId') {
+                plan.liabilityId = value || null;
+            } else if (field === 'assetId') {
+                plan.assetIds = value ? [value] : [];
+            } else {
+                plan[field] = Math.max(0, parseFloat(value) || 0);
+            }
+            this.calculateInvestOrPrepay();
+            this.saveData();
+        },
+
+        // Разница чистой стоимости сценария по годам (гасить минус инвестировать)
+        getInvestOrPrepayScenario(scenarioId) {
+            return this.investOrPrepayResult?.scenarios[scenarioId] || null;
+        },
+
+        // === КОНЕЦ МЕТОДОВ ДЛЯ ПОГАШЕНИЯ ДОЛГОВ ===
+
+        // === МЕТОДЫ ДЛЯ СРАВНЕНИЯ «АРЕНДОВАТЬ ИЛИ КУПИТЬ» ===
+
+        // Параметры сравнения (пустые ставка, срок и рост аренды - значения по умолчанию)
+        updateRentVsBuy(field, value) {
+            const plan = this.portfolio.rentVsBuy;
+            const empty = value === '' || value === null;
+
+            if (field === 'enabled') {
+                plan.enabled = !!value;
+            } else if (field === 'allocation') {
+                plan.allocation = value;
+            } else if (field === 'rate' || field === 'termYears' || field === 'rentGrowth') {
+                plan[field] = empty ? null : parseFloat(value) || 0;
+            } else if (field === 'downPayment') {
+                plan.downPayment = Math.min(100, Math.max(0, parseFloat(value) || 0));
+            } else {
+                plan[field] = Math.max(0, parseFloat(value) || 0);
+            }
+            this.calculateRentVsBuy();
+            this.saveData();
+        },
+
+        // Чистая стоимость путей сценария по годам и год безубыточности
+        getRentVsBuyScenario(scenarioId) {
+            return this.rentVsBuyResult?.scenarios[scenarioId] || null;
+        },
+
+        // Распределение вложений арендатора одной строкой
+        getRentVsBuyAllocation() {
+            const allocation = this.rentVsBuyResult?.allocation || {};
+            return this.formatAllocation(Object.fromEntries(
+                Object.entries(allocation).map(([assetType, share]) => [assetType, share * 100])
+            ));
+        },
+
+        // Ставка и срок ипотеки по умолчанию (подсказки для пустых полей)
+        getMortgageDefaults() {
+            const mortgage = liabilityClasses.getLiabilityInfo('mortgage');
+            return { rate: mortgage.defaultRate, termYears: mortgage.defaultTerm };
+        },
+
         // Получение иконки актива
         getAssetIcon(assetType) {
             const assetInfo = assetClasses.getAssetInfo(assetType);
@@ -462,13 +1380,207 @@ function finCalcApp() {
         getAssetReturn(asset, scenario = 'base') {
             if (!asset.type) return 0;
 
-            const assetInfo = assetClasses.getAssetInfo(asset.type);
-            if (!assetInfo) return 0;
+            return financialEngine.getAssetReturnRate(asset, scenario, this.scenarios, this.settings);
+        },
+
+        // Задана ли у актива собственная доходность в сценарии
+        hasReturnOverride(asset, scenario) {
+            return financialEngine.getAssetReturnOverride(asset, scenario) !== null;
+        },
+
+        // Отличаются ли параметры актива от параметров класса
+        hasOverrides(asset) {
+            const overrides = asset.overrides;
+            if (!overrides) return false;
+            return this.getScenarioList().some(scenario => this.hasReturnOverride(asset, scenario.id))
+                || typeof overrides.volatility === 'number'
+                || !!overrides.maturityDate;
+        },
+
+        // Волатильность класса активов (подсказка для собственной волатильности)
+        getAssetTypeVolatility(assetType) {
+            return assetClasses.getVolatility(assetType);
+        },
+
+        // Итоговая доходность класса активов в сценарии (для окна настроек)
+        getAssetTypeReturn(assetType, scenario) {
+            return financialEngine.getReturnRate(assetType, scenario, this.scenarios, this.settings);
+        },
+
+        // Получение названия сценария
+        getScenarioName(scenario) {
+            return chartManager.getScenarioName(scenario, this.scenarios);
+        },
+
+        // === МЕТОДЫ ДЛЯ СЦЕНАРИЕВ ===
+
+        // Список сценариев
+        getScenarioList() {
+            return financialEngine.getScenarioList(this.scenarios);
+        },
+
+        // ID основного сценария
+        getBaseScenarioId() {
+            return financialEngine.getBaseScenarioId(this.scenarios);
+        },
+
+        // Годовые данные основного сценария (для таблиц)
+        getBaseProjection() {
+            return this.projections[this.getBaseScenarioId()] || [];
+        },
+
+        // Цвет сценария
+        getScenarioColor(scenario, index = 0) {
+            return chartManager.getScenarioColor(scenario, index);
+        },
+
+        // Значение сценария за год для таблицы
+        getScenarioYearValue(scenarioId, index) {
+            const yearData = this.projections[scenarioId]?.[index];
+            if (!yearData) return 0;
+            if (this.settings.showRealValues) return yearData.real;
+            return yearData.netWorth !== undefined ? yearData.netWorth : yearData.nominal;
+        },
+
+        // Добавление сценария (доходности копируются из основного)
+        addScenario() {
+            const baseId = this.getBaseScenarioId();
+            const index = this.scenarios.list.length;
+            this.createScenario(baseId, {
+                name: `Сценарий ${index + 1}`,
+                color: chartManager.palette[index % chartManager.palette.length],
+                inflation: null,
+                paths: {}
+            });
+        },
+
+        // Дублирование сценария со всеми параметрами
+        duplicateScenario(scenarioId) {
+            const source = this.scenarios.list.find(scenario => scenario.id === scenarioId);
+            if (!source) return;
+
+            this.createScenario(scenarioId, {
+                ...source,
+                name: `${source.name} (копия)`,
+                paths: JSON.parse(JSON.stringify(source.paths || {}))
+            });
+        },
+
+        // Создание сценария с доходностями, скопированными из sourceId
+        createScenario(sourceId, fields) {
+            const id = `scenario_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+            this.scenarios.list.push({ ...fields, id });
+
+            Object.values(this.scenarios.returnModel).forEach(model => {
+                model[id] = model[sourceId] || 0;
+            });
+
+            this.updateScenarioSettings();
+        },
+
+        // Удаление сценария (последний сценарий удалить нельзя)
+        removeScenario(scenarioId) {
+            if (this.scenarios.list.length <= 1) return;
+
+            this.scenarios.list = this.scenarios.list.filter(scenario => scenario.id !== scenarioId);
+            Object.values(this.scenarios.returnModel).forEach(model => {
+                delete model[scenarioId];
+            });
+
+            if (this.selectedScenario === scenarioId) {
+                this.selectedScenario = this.getBaseScenarioId();
+            }
+            if (this.pathScenarioId === scenarioId) {
+                this.pathScenarioId = this.getBaseScenarioId();
+            }
+
+            this.updateScenarioSettings();
+        },
+
+        // Обновление названия, цвета или инфляции сценария
+        updateScenario(scenarioId, field, value) {
+            const scenario = this.scenarios.list.find(item => item.id === scenarioId);
+            if (!scenario) return;
+
+            if (field === 'inflation') {
+                // Пустое поле - общая инфляция из настроек
+                scenario.inflation = value === '' || value === null ? null : value;
+            } else {
+                scenario[field] = value;
+            }
+
+            this.updateScenarioSettings();
+        },
+
+        // Ряды траекторий: инфляция и доходности классов активов
+        getPathSeries() {
+            const series = [{ key: 'inflation', name: 'Инфляция' }];
+            Object.entries(this.getAllAssetTypes()).forEach(([assetType, assetInfo]) => {
+                series.push({ key: assetType, name: `${assetInfo.icon} ${assetInfo.name}` });
+            });
+            return series;
+        },
+
+        // Отрезки траектории сценария
+        getPathSegments(scenarioId, seriesKey) {
+            const scenario = this.scenarios.list.find(item => item.id === scenarioId);
+            return scenario?.paths?.[seriesKey] || [];
+        },
+
+        // Добавление отрезка: по умолчанию продолжает предыдущий и начинается с текущей ставки
+        addPathSegment(scenarioId, seriesKey) {
+            const scenario = this.scenarios.list.find(item => item.id === scenarioId);
+            if (!scenario) return;
+
+            if (!scenario.paths) scenario.paths = {};
+            if (!scenario.paths[seriesKey]) scenario.paths[seriesKey] = [];
+
+            const segments = scenario.paths[seriesKey];
+            const last = segments[segments.length - 1];
+            const fromYear = Math.min(last ? (last.toYear ?? this.settings.horizonYears) + 1 : 1, this.settings.horizonYears);
+            const value = seriesKey === 'inflation'
+                ? financialEngine.getScenarioInflation(scenarioId, this.scenarios, this.settings, fromYear)
+                : financialEngine.getReturnRate(seriesKey, scenarioId, this.scenarios, this.settings, fromYear);
+
+            segments.push({ fromYear, toYear: fromYear, value, endValue: null });
+            this.updateScenarioSettings();
+        },
+
+        // Удаление отрезка траектории
+        removePathSegment(scenarioId, seriesKey, index) {
+            const segments = this.getPathSegments(scenarioId, seriesKey);
+            segments.splice(index, 1);
+            this.updateScenarioSettings();
+        },
+
+        // Обновление поля отрезка (пустые "по год" и "до значения" - до конца горизонта и постоянное значение)
+        updatePathSegment(scenarioId, seriesKey, index, field, value) {
+            const segment = this.getPathSegments(scenarioId, seriesKey)[index];
+            if (!segment) return;
+
+            const number = value === '' || value === null ? null : parseFloat(value);
+            if (field === 'fromYear' || field === 'value') {
+                if (number === null || isNaN(number)) return;
+                segment[field] = field === 'fromYear' ? Math.max(1, Math.round(number)) : number;
+            } else {
+                segment[field] = number === null || isNaN(number)
+                    ? null
+                    : (field === 'toYear' ? Math.max(segment.fromYear, Math.round(number)) : number);
+            }
+
+            this.updateScenarioSettings();
+        },
 
-            const adjustment = assetInfo.inflationAdjustment[scenario] || 0;
-            return this.settings.inflation + adjustment;
+        // Таблица ставок сценария по годам (итог траекторий и модели доходности)
+        getScenarioPathTable(scenarioId) {
+            const path = financialEngine.getScenarioPath(
+                scenarioId, this.scenarios, this.settings, Object.keys(this.getAllAssetTypes())
+            );
+            return path.rates.slice(1);
         },
 
+        // === КОНЕЦ МЕТОДОВ ДЛЯ СЦЕНАРИЕВ ===
+
         // Получение названия типа актива
         getAssetTypeName(assetType) {
             const assetInfo = assetClasses.getAssetInfo(assetType);
@@ -576,6 +1688,240 @@ function finCalcApp() {
             }
         },
 
+        // Обновление графика взносов актива
+        updateAssetContribution(index, field, value) {
+            const asset = this.portfolio.assets[index];
+            if (!asset) return;
+
+            if (!asset.contribution) {
+                asset.contribution = assetClasses.createDefaultContribution();
+            }
+            asset.contribution[field] = this.normalizeContributionField(field, value);
+            this.updateAssetValue(index, 'contribution', asset.contribution);
+        },
+
+        // Обновление общего графика взносов портфеля
+        updatePortfolioContribution(field, value) {
+            if (!this.portfolio.contribution) {
+                this.portfolio.contribution = assetClasses.createDefaultContribution();
+            }
+            this.portfolio.contribution[field] = this.normalizeContributionField(field, value);
+
+            this.calculate();
+            if (this.activeTab === 'assets') {
+                this.calculateDetailedProjections();
+                this.updateAssetChart();
+            }
+
+            this.saveData();
+        },
+
+        // Обновление политики ребалансировки
+        updateRebalancing(field, value) {
+            this.portfolio.rebalancing[field] = field === 'band' ? Math.max(0.5, value || 5) : value;
+            this.recalculatePortfolio();
+        },
+
+        // Обновление своего целевого распределения
+        updateRebalancingAllocation(assetType, value) {
+            this.portfolio.rebalancing.allocation[assetType] = Math.max(0, parseFloat(value) || 0);
+            this.recalculatePortfolio();
+        },
+
+        // Полный пересчет после изменения параметров портфеля
+        recalculatePortfolio() {
+            this.calculate();
+            this.updateCharts();
+            if (this.activeTab === 'assets') {
+                this.calculateDetailedProjections();
+                this.updateAssetChart();
+            }
+
+            this.saveData();
+        },
+
+        // Профили риска для целевого распределения
+        getAllRiskProfiles() {
+            return assetClasses.getAllRiskProfiles();
+        },
+
+        // Распределение по типам активов одной строкой
+        formatAllocation(allocation) {
+            if (!allocation) return '';
+            return Object.entries(allocation)
+                .filter(([, percent]) => percent > 0)
+                .map(([assetType, percent]) => `${this.getAssetTypeName(assetType)} ${Math.round(percent)}%`)
+                .join(' · ');
+        },
+
+        // Типичные комиссии типа актива (подсказка в полях комиссий)
+        getTypicalFees(assetType) {
+            return assetClasses.getTypicalFees(assetType);
+        },
+
+        // Обновление комиссий актива
+        updateAssetFees(index, field, value) {
+            const asset = this.portfolio.assets[index];
+            if (!asset) return;
+
+            if (!asset.fees) {
+                asset.fees = assetClasses.createDefaultFees();
+            }
+            asset.fees[field] = Math.max(0, parseFloat(value) || 0);
+            this.updateAssetValue(index, 'fees', asset.fees);
+        },
+
+        // Обновление собственных параметров актива (пустое значение - параметр класса)
+        updateAssetOverride(index, field, value, scenarioId = null) {
+            const asset = this.portfolio.assets[index];
+            if (!asset) return;
+
+            if (!asset.overrides) {
+                asset.overrides = assetClasses.createDefaultOverrides();
+            }
+
+            const empty = value === '' || value === null;
+            if (field === 'returns') {
+                if (empty) {
+                    delete asset.overrides.returns[scenarioId];
+                } else {
+                    asset.overrides.returns[scenarioId] = parseFloat(value) || 0;
+                }
+            } else if (field === 'volatility') {
+                asset.overrides.volatility = empty ? null : Math.max(0, parseFloat(value) || 0);
+            } else if (field === 'maturityDate') {
+                asset.overrides.maturityDate = empty ? null : value;
+            }
+
+            this.updateAssetValue(index, 'overrides', asset.overrides);
+        },
+
+        // Сброс собственных параметров актива к параметрам класса
+        resetAssetOverrides(index) {
+            const asset = this.portfolio.assets[index];
+            if (!asset) return;
+
+            asset.overrides = assetClasses.createDefaultOverrides();
+            this.updateAssetValue(index, 'overrides', asset.overrides);
+        },
+
+        // Обновление аренды и расходов владения недвижимостью (пустой рост аренды - инфляция сценария)
+        updateAssetRental(index, field, value) {
+            const asset = this.portfolio.assets[index];
+            if (!asset) return;
+
+            if (!asset.rental) {
+                asset.rental = assetClasses.createDefaultRental(asset.type);
+            }
+
+            if (field === 'liabilityId') {
+                asset.rental.liabilityId = value || null;
+            } else if (field === 'rentGrowth') {
+                asset.rental.rentGrowth = value === '' || value === null ? null : parseFloat(value);
+            } else {
+                asset.rental[field] = Math.max(0, parseFloat(value) || 0);
+            }
+
+            this.updateAssetValue(index, 'rental', asset.rental);
+        },
+
+        // Доходность объекта недвижимости в сценарии
+        getRealtyScenario(assetId, scenarioId) {
+            return this.realtyResult?.assets.find(item => item.assetId === assetId)?.scenarios[scenarioId] || null;
+        },
+
+        // Ипотеки, которые можно связать с объектом
+        getMortgageOptions() {
+            return this.portfolio.liabilities.filter(liability => liability.type === 'mortgage');
+        },
+
+        // Обновление налоговых параметров актива (пустая доля выплат - по профилю класса)
+        updateAssetTax(index, field, value) {
+            const asset = this.portfolio.assets[index];
+            if (!asset) return;
+
+            if (!asset.tax) {
+                asset.tax = taxRules.createDefaultAssetTax();
+            }
+
+            if (field === 'account') {
+                asset.tax.account = value;
+            } else if (field === 'incomeYield') {
+                asset.tax.incomeYield = value === '' || value === null ? null : parseFloat(value);
+            } else {
+                asset.tax[field] = parseFloat(value) || 0;
+            }
+
+            this.updateAssetValue(index, 'tax', asset.tax);
+        },
+
+        // Обновление настроек налогов
+        updateTaxSettings(field, value) {
+            if (!this.settings.tax) {
+                this.settings.tax = { enabled: false, rate: 13, highRate: 15, threshold: 2400000, depositKeyRate: 21 };
+            }
+            this.settings.tax[field] = field === 'enabled' ? value : (value || 0);
+
+            this.calculate();
+            this.updateCharts();
+            if (this.activeTab === 'assets') {
+                this.calculateDetailedProjections();
+                this.updateAssetChart();
+            }
+
+            this.saveData();
+        },
+
+        // Стоимость после налогов за год (номинальная или реальная)
+        getAfterTaxValue(yearData) {
+            if (!yearData?.afterTax) return 0;
+            return this.settings.showRealValues ? yearData.afterTax.real : yearData.afterTax.netWorth;
+        },
+
+        // Типы счетов для выбора в карточке актива
+        getAllAccountTypes() {
+            return taxRules.getAllAccountTypes();
+        },
+
+        getAccountInfo(accountType) {
+            return taxRules.getAccountInfo(accountType);
+        },
+
+        // Профиль выплат класса активов (дивиденды, купоны, проценты)
+        getIncomeProfile(assetType) {
+            return taxRules.getIncomeProfile(assetType);
+        },
+
+        // Пустой год окончания означает "до конца горизонта"
+        normalizeContributionField(field, value) {
+            if (field === 'endYear') {
+                return value === '' || value === null || value === 0 ? null : value;
+            }
+            if (field === 'frequency') {
+                return value;
+            }
+            return value === '' || value === null ? 0 : value;
+        },
+
+        // Есть ли в портфеле жизненные события
+        hasLifeEvents() {
+            return (this.portfolio.events || []).length > 0;
+        },
+
+        // Есть ли обязательства на горизонте (включая кредиты жизненных событий)
+        hasProjectedLiabilities() {
+            return this.portfolio.liabilities.length > 0 ||
+                this.getBaseProjection().some(yearData => yearData.liabilities > 0);
+        },
+
+        // Есть ли в портфеле регулярные взносы или изъятия
+        hasContributions() {
+            const hasAmount = (schedule) => !!(schedule && schedule.amount);
+            return hasAmount(this.portfolio.contribution) ||
+                this.portfolio.budget?.enabled ||
+                this.portfolio.assets.some(asset => hasAmount(asset.contribution));
+        },
+
         // Обновление настроек с пересчетом
         updateSettings(field, value) {
             this.settings[field] = value;
@@ -591,7 +1937,7 @@ function finCalcApp() {
                     this.updateAssetChart();
                 }
             } else {
-                // Для остальных полей (horizonYears) нужен полный пересчет
+                // Для остальных полей (horizonYears, resolution) нужен полный пересчет
                 this.calculate();
                 this.updateCharts();
                 // Если находимся на вкладке активов, пересчитываем детальные проекции
@@ -604,21 +1950,25 @@ function finCalcApp() {
             this.saveData();
         },
 
-        // Обновление настроек сценариев
-        updateScenarioSettings() {
-            // Сохраняем изменения в assetClasses
-            const allAssetTypes = assetClasses.getAllAssetTypes();
-
-            // Обновляем scenarios для совместимости (хотя теперь используем assetClasses)
-            this.scenarios.returnRates = {};
-            Object.entries(allAssetTypes).forEach(([assetType, assetInfo]) => {
-                this.scenarios.returnRates[assetType] = {
-                    pessimistic: this.settings.inflation + assetInfo.inflationAdjustment.pessimistic,
-                    base: this.settings.inflation + assetInfo.inflationAdjustment.base,
-                    optimistic: this.settings.inflation + assetInfo.inflationAdjustment.optimistic
-                };
+        // Переключение режима доходности класса активов с сохранением итоговых ставок
+        setReturnMode(assetType, mode) {
+            const model = this.scenarios.returnModel[assetType];
+            if (!model || model.mode === mode) return;
+
+            this.getScenarioList().forEach(scenario => {
+                const inflation = financialEngine.getScenarioInflation(scenario.id, this.scenarios, this.settings);
+                model[scenario.id] = mode === 'absolute'
+                    ? (model[scenario.id] || 0) + inflation
+                    : (model[scenario.id] || 0) - inflation;
             });
+            model.mode = mode;
 
+            this.updateScenarioSettings();
+        },
+
+        // Обновление настроек сценариев
+        // Модель доходности (scenarios.returnModel) редактируется напрямую, здесь только пересчет
+        updateScenarioSettings() {
             this.calculate();
             this.updateCharts();
 
@@ -658,7 +2008,7 @@ function finCalcApp() {
 
             if (!this.portfolio.assets || this.portfolio.assets.length === 0) {
                 console.log('No assets found, setting empty projections');
-                this.detailedProjections = { assets: {}, liabilities: { pessimistic: [], base: [], optimistic: [] } };
+                this.detailedProjections = { assets: {}, liabilities: {} };
                 return;
             }
 
@@ -672,11 +2022,11 @@ function finCalcApp() {
                     console.log('Detailed projections calculated successfully. Assets:', Object.keys(this.detailedProjections.assets).length);
                 } else {
                     console.error('calculateDetailedProjections method not found on financialEngine');
-                    this.detailedProjections = { assets: {}, liabilities: { pessimistic: [], base: [], optimistic: [] } };
+                    this.detailedProjections = { assets: {}, liabilities: {} };
                 }
             } catch (error) {
                 console.error('Error calculating detailed projections:', error);
-                this.detailedProjections = { assets: {}, liabilities: { pessimistic: [], base: [], optimistic: [] } };
+                this.detailedProjections = { assets: {}, liabilities: {} };
             }
         },
 
@@ -693,7 +2043,8 @@ function finCalcApp() {
                                 this.detailedProjections,
                                 this.selectedScenario,
                                 this.settings,
-                                this.portfolio
+                                this.portfolio,
+                                this.scenarios
                             );
                             console.log('Asset chart updated successfully');
                         } else {
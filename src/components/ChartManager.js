@@ -9,11 +9,16 @@ class ChartManager {
             pessimistic: '#dc2626',
             base: '#2563eb',
             optimistic: '#059669',
+            invested: '#64748b',
+            monteCarlo: '#0891b2',
             stocks: '#059669',
             bonds: '#2563eb',
             cash: '#d97706',
             realty: '#7c3aed'
         };
+
+        // Палитра для пользовательских сценариев без заданного цвета
+        this.palette = ['#0891b2', '#ea580c', '#7c3aed', '#db2777', '#65a30d', '#475569'];
     }
 
     /**
@@ -21,8 +26,9 @@ class ChartManager {
      * @param {HTMLCanvasElement} canvas - Canvas элемент
      * @param {Object} projections - Проекции по сценариям
      * @param {Object} settings - Настройки отображения
+     * @param {Object} scenarios - Сценарии (список с названиями и цветами)
      */
-    createScenariosChart(canvas, projections, settings = {}) {
+    createScenariosChart(canvas, projections, settings = {}, scenarios = {}) {
         const chartId = 'scenarios';
 
         // Уничтожаем существующий график
@@ -31,10 +37,12 @@ class ChartManager {
         }
 
         const ctx = canvas.getContext('2d');
+        const eventMarkers = this.prepareEventMarkers(projections, settings, scenarios);
 
         const chart = new Chart(ctx, {
             type: 'line',
-            data: this.prepareScenariosData(projections, settings),
+            data: this.prepareScenariosData(projections, settings, scenarios),
+            plugins: [this.createEventAnnotationPlugin(eventMarkers)],
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
@@ -67,6 +75,10 @@ class ChartManager {
                             label: (context) => {
                                 const value = context.parsed.y;
                                 return `${context.dataset.label}: ${this.formatCurrency(value)}`;
+                            },
+                            afterBody: (items) => {
+                                const marker = eventMarkers.find(item => item.index === items[0]?.dataIndex);
+                                return marker ? marker.events.map(event => this.formatEventLabel(event)) : [];
                             }
                         }
                     }
@@ -76,7 +88,7 @@ class ChartManager {
                         display: true,
                         title: {
                             display: true,
-                            text: 'Годы'
+                            text: settings.resolution === 'monthly' ? 'Годы / месяцы' : 'Годы'
                         },
                         grid: {
                             color: 'rgba(0, 0, 0, 0.1)'
@@ -101,7 +113,7 @@ class ChartManager {
                         tension: 0.2
                     },
                     point: {
-                        radius: 4,
+                        radius: settings.resolution === 'monthly' ? 0 : 4,
                         hoverRadius: 6
                     }
                 }
@@ -112,6 +124,292 @@ class ChartManager {
         return chart;
     }
 
+    /**
+     * Создание графика Монте-Карло: коридоры перцентилей и фиксированные сценарии
+     * @param {HTMLCanvasElement} canvas - Canvas элемент
+     * @param {Object} monteCarlo - Результат FinancialEngine.calculateMonteCarloProjection
+     * @param {Object} projections - Проекции по сценариям
+     * @param {Object} settings - Настройки отображения
+     * @param {Object} scenarios - Сценарии (список с названиями и цветами)
+     */
+    createMonteCarloChart(canvas, monteCarlo, projections, settings = {}, scenarios = {}) {
+        const chartId = 'scenarios';
+
+        // График занимает тот же canvas, что и сценарии
+        if (this.charts.has(chartId)) {
+            this.charts.get(chartId).destroy();
+        }
+
+        const ctx = canvas.getContext('2d');
+
+        const chart = new Chart(ctx, {
+            type: 'line',
+            data: this.prepareMonteCarloData(monteCarlo, projections, settings, scenarios),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false,
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: monteCarlo.seed !== null
+                            ? `Монте-Карло (${monteCarlo.simulations} симуляций, зерно ${monteCarlo.seed})`
+                            : `Монте-Карло (${monteCarlo.simulations} симуляций)`,
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            usePointStyle: true,
+                            padding: 20,
+                            // Служебные границы коридоров не показываем в легенде
+                            filter: (item) => !item.text.startsWith('_')
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#fff',
+                        bodyColor: '#fff',
+                        cornerRadius: 8,
+                        filter: (item) => !item.dataset.label.startsWith('_'),
+                        callbacks: {
+                            label: (context) => {
+                                const value = context.parsed.y;
+                                return `${context.dataset.label}: ${this.formatCurrency(value)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: 'Годы'
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.1)'
+                        }
+                    },
+                    y: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: settings.showRealValues ? 'Чистая стоимость (реальная)' : 'Чистая стоимость (номинальная)'
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.1)'
+                        },
+                        ticks: {
+                            callback: (value) => this.formatCompactCurrency(value)
+                        }
+                    }
+                },
+                elements: {
+                    line: {
+                        tension: 0.2
+                    },
+                    point: {
+                        radius: 0,
+                        hoverRadius: 4
+                    }
+                }
+            }
+        });
+
+        this.charts.set(chartId, chart);
+        return chart;
+    }
+
+    /**
+     * Подготовка данных для графика Монте-Карло
+     */
+    prepareMonteCarloData(monteCarlo, projections, settings, scenarios) {
+        if (!monteCarlo || !monteCarlo.years || monteCarlo.years.length === 0) {
+            return { labels: [], datasets: [] };
+        }
+
+        const labels = monteCarlo.years.map(item => item.year);
+        const percentileValue = (key) => monteCarlo.years.map(item =>
+            settings.showRealValues ? item.real[key] : item[key]
+        );
+        const scenarioValue = (item) =>
+            settings.showRealValues ? item.real : (item.netWorth !== undefined ? item.netWorth : item.nominal);
+        const band = this.colors.monteCarlo;
+
+        const datasets = [
+            // Коридор p10-p90: нижняя граница + заливка до нее от верхней
+            { label: '_p10', data: percentileValue('p10'), borderColor: 'transparent', fill: false },
+            { label: 'P10-P90', data: percentileValue('p90'), borderColor: 'transparent', backgroundColor: band + '20', fill: '-1' },
+            { label: '_p25', data: percentileValue('p25'), borderColor: 'transparent', fill: false },
+            { label: 'P25-P75', data: percentileValue('p75'), borderColor: 'transparent', backgroundColor: band + '40', fill: '-1' },
+            { label: 'Медиана', data: percentileValue('p50'), borderColor: band, backgroundColor: band, borderWidth: 3, fill: false }
+        ];
+
+        this.getScenarioList(scenarios).forEach((scenario, index) => {
+            if (!projections?.[scenario.id]) return;
+            const color = this.getScenarioColor(scenario, index);
+            datasets.push({
+                label: scenario.name,
+                data: projections[scenario.id].map(scenarioValue),
+                borderColor: color,
+                backgroundColor: color + '20',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                fill: false
+            });
+        });
+
+        return { labels, datasets };
+    }
+
+    /**
+     * Создание графика исторического бэктеста
+     * @param {HTMLCanvasElement} canvas - Canvas элемент
+     * @param {Object} backtest - Результат FinancialEngine.calculateBacktest
+     * @param {Object} settings - Настройки отображения
+     */
+    createBacktestChart(canvas, backtest, settings = {}) {
+        const chartId = 'scenarios';
+
+        // График занимает тот же canvas, что и сценарии
+        if (this.charts.has(chartId)) {
+            this.charts.get(chartId).destroy();
+        }
+
+        const ctx = canvas.getContext('2d');
+
+        const chart = new Chart(ctx, {
+            type: 'line',
+            data: this.prepareBacktestData(backtest, settings),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false,
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `История ${backtest.firstYear}-${backtest.lastYear} (${backtest.runs.length} периодов)`,
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            usePointStyle: true,
+                            padding: 20,
+                            // Остальные исторические периоды показываем только фоном
+                            filter: (item) => !item.text.startsWith('_')
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#fff',
+                        bodyColor: '#fff',
+                        cornerRadius: 8,
+                        filter: (item) => !item.dataset.label.startsWith('_'),
+                        callbacks: {
+                            label: (context) => {
+                                const value = context.parsed.y;
+                                return `${context.dataset.label}: ${this.formatCurrency(value)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: 'Годы от начала периода'
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.1)'
+                        }
+                    },
+                    y: {
+                        display: true,
+                        title: {
+                            display: true,
+                            text: settings.showRealValues ? 'Чистая стоимость (реальная)' : 'Чистая стоимость (номинальная)'
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.1)'
+                        },
+                        ticks: {
+                            callback: (value) => this.formatCompactCurrency(value)
+                        }
+                    }
+                },
+                elements: {
+                    line: {
+                        tension: 0.2
+                    },
+                    point: {
+                        radius: 0,
+                        hoverRadius: 4
+                    }
+                }
+            }
+        });
+
+        this.charts.set(chartId, chart);
+        return chart;
+    }
+
+    /**
+     * Подготовка данных для графика бэктеста: все периоды фоном, худший/медианный/лучший - цветом
+     */
+    prepareBacktestData(backtest, settings) {
+        if (!backtest || backtest.runs.length === 0) {
+            return { labels: [], datasets: [] };
+        }
+
+        const labels = backtest.runs[0].projection.map(item => item.year);
+        const runValue = (item) =>
+            settings.showRealValues ? item.real : (item.netWorth !== undefined ? item.netWorth : item.nominal);
+
+        const highlighted = [
+            { run: backtest.worst, name: 'Худший', color: this.colors.pessimistic },
+            { run: backtest.median, name: 'Медианный', color: this.colors.base },
+            { run: backtest.best, name: 'Лучший', color: this.colors.optimistic }
+        ];
+
+        const datasets = backtest.runs
+            .filter(run => !highlighted.some(item => item.run === run))
+            .map(run => ({
+                label: `_${run.startYear}`,
+                data: run.projection.map(runValue),
+                borderColor: this.colors.invested + '40',
+                borderWidth: 1,
+                fill: false
+            }));
+
+        highlighted.forEach(({ run, name, color }) => {
+            datasets.push({
+                label: `${name} (${run.startYear}-${run.endYear})`,
+                data: run.projection.map(runValue),
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 3,
+                fill: false
+            });
+        });
+
+        return { labels, datasets };
+    }
+
     /**
      * Создание или обновление графика состава портфеля
      * @param {HTMLCanvasElement} canvas - Canvas элемент
@@ -183,49 +481,187 @@ class ChartManager {
     /**
      * Подготовка данных для графика сценариев
      */
-    prepareScenariosData(projections, settings) {
-        if (!projections.base || projections.base.length === 0) {
+    prepareScenariosData(projections, settings, scenarios) {
+        const scenarioList = this.getScenarioList(scenarios);
+        const baseId = window.financialEngine ? window.financialEngine.getBaseScenarioId(scenarios) : scenarioList[0]?.id;
+
+        if (!projections[baseId] || projections[baseId].length === 0) {
             return { labels: [], datasets: [] };
         }
 
-        const labels = projections.base.map(item => item.year);
+        const pointValue = (item) =>
+            settings.showRealValues ? item.real : (item.netWorth !== undefined ? item.netWorth : item.nominal);
 
-        const datasets = [
-            {
-                label: 'Пессимистичный',
-                data: projections.pessimistic.map(item =>
-                    settings.showRealValues ? item.real : (item.netWorth !== undefined ? item.netWorth : item.nominal)
-                ),
-                borderColor: this.colors.pessimistic,
-                backgroundColor: this.colors.pessimistic + '20',
+        const basePoints = this.expandSeries(projections[baseId], settings);
+        const labels = basePoints.map(item => this.getPointLabel(item));
+
+        const datasets = scenarioList
+            .filter(scenario => projections[scenario.id])
+            .map((scenario, index) => {
+                const color = this.getScenarioColor(scenario, index);
+                return {
+                    label: scenario.name,
+                    data: this.expandSeries(projections[scenario.id], settings).map(pointValue),
+                    borderColor: color,
+                    backgroundColor: color + '20',
+                    borderWidth: scenario.id === baseId ? 3 : 2,
+                    fill: false
+                };
+            });
+
+        // Основной сценарий после налогов (при продаже всех активов в этой точке)
+        if (projections[baseId][0].afterTax) {
+            const baseScenario = scenarioList.find(scenario => scenario.id === baseId);
+            const color = this.getScenarioColor(baseScenario, scenarioList.indexOf(baseScenario));
+            datasets.push({
+                label: `${baseScenario.name} после налогов`,
+                data: basePoints.map(item => settings.showRealValues ? item.afterTax.real : item.afterTax.netWorth),
+                borderColor: color,
+                backgroundColor: color + '20',
                 borderWidth: 2,
+                borderDash: [2, 3],
+                pointRadius: 0,
                 fill: false
-            },
-            {
-                label: 'Базовый',
-                data: projections.base.map(item =>
-                    settings.showRealValues ? item.real : (item.netWorth !== undefined ? item.netWorth : item.nominal)
-                ),
-                borderColor: this.colors.base,
-                backgroundColor: this.colors.base + '20',
-                borderWidth: 3,
-                fill: false
-            },
-            {
-                label: 'Оптимистичный',
-                data: projections.optimistic.map(item =>
-                    settings.showRealValues ? item.real : (item.netWorth !== undefined ? item.netWorth : item.nominal)
-                ),
-                borderColor: this.colors.optimistic,
-                backgroundColor: this.colors.optimistic + '20',
+            });
+        }
+
+        // Собственные вложения: стартовый капитал плюс накопленные взносы и жизненные события
+        const hasContributions = projections[baseId].some(item => item.totalContributions || item.totalEventFlow);
+        if (hasContributions && !settings.showRealValues) {
+            const startValue = pointValue(projections[baseId][0]);
+            datasets.push({
+                label: 'Вложено',
+                data: basePoints.map(item => startValue + (item.totalContributions || 0) + (item.totalEventFlow || 0)),
+                borderColor: this.colors.invested,
+                backgroundColor: this.colors.invested + '20',
                 borderWidth: 2,
+                borderDash: [5, 5],
+                pointRadius: 0,
                 fill: false
-            }
-        ];
+            });
+        }
 
         return { labels, datasets };
     }
 
+    /**
+     * Точки графика сценариев, на которые приходятся жизненные события
+     * @param {Object} projections - Проекции по сценариям
+     * @param {Object} settings - Настройки отображения
+     * @param {Object} scenarios - Сценарии
+     * @returns {Array} [{ index, events }] - индекс точки на оси X и события в ней
+     */
+    prepareEventMarkers(projections, settings, scenarios) {
+        const baseId = window.financialEngine
+            ? window.financialEngine.getBaseScenarioId(scenarios)
+            : this.getScenarioList(scenarios)[0]?.id;
+
+        return this.expandSeries(projections[baseId], settings)
+            .map((point, index) => ({ index, events: point.events || [] }))
+            .filter(marker => marker.events.length > 0);
+    }
+
+    /**
+     * Подпись жизненного события
+     * @param {Object} event - Примененное событие { name, direction, amount, shortfall }
+     * @returns {string} Подпись для подсказки
+     */
+    formatEventLabel(event) {
+        const sign = event.direction === 'inflow' ? '+' : '−';
+        const shortfall = event.shortfall > 0 ? ` (не хватило ${this.formatCompactCurrency(event.shortfall)})` : '';
+        return `${event.name}: ${sign}${this.formatCompactCurrency(event.amount)}${shortfall}`;
+    }
+
+    /**
+     * Плагин Chart.js: вертикальные отметки жизненных событий с подписями
+     * @param {Array} markers - Результат prepareEventMarkers
+     * @returns {Object} Плагин для опции plugins графика
+     */
+    createEventAnnotationPlugin(markers) {
+        return {
+            id: 'lifeEvents',
+            afterDatasetsDraw: (chart) => {
+                const { ctx, chartArea, scales } = chart;
+                if (!markers.length || !scales.x) return;
+
+                ctx.save();
+                ctx.font = '11px sans-serif';
+                ctx.textBaseline = 'top';
+
+                markers.forEach((marker, markerIndex) => {
+                    const x = scales.x.getPixelForValue(marker.index);
+                    const inflow = marker.events.every(event => event.direction === 'inflow');
+                    const color = inflow ? this.colors.optimistic : this.colors.pessimistic;
+
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([4, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(x, chartArea.top);
+                    ctx.lineTo(x, chartArea.bottom);
+                    ctx.stroke();
+
+                    // Подписи соседних событий сдвигаем по вертикали, чтобы они не накладывались
+                    const label = marker.events.map(event => event.name).join(', ');
+                    const width = ctx.measureText(label).width;
+                    const left = Math.min(x + 4, chartArea.right - width);
+                    ctx.fillStyle = color;
+                    ctx.fillText(label, left, chartArea.top + 4 + (markerIndex % 3) * 14);
+                });
+
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Список сценариев для отображения
+     * @param {Object} scenarios - Сценарии
+     * @returns {Array} [{ id, name, color }]
+     */
+    getScenarioList(scenarios) {
+        if (scenarios?.list && scenarios.list.length > 0) {
+            return scenarios.list;
+        }
+        return ['pessimistic', 'base', 'optimistic'].map(id => ({ id, name: this.getScenarioName(id), color: this.colors[id] }));
+    }
+
+    /**
+     * Цвет сценария: заданный пользователем или из палитры
+     * @param {Object} scenario - Сценарий
+     * @param {number} index - Позиция сценария в списке
+     * @returns {string} HEX-цвет
+     */
+    getScenarioColor(scenario, index = 0) {
+        return scenario.color || this.colors[scenario.id] || this.palette[index % this.palette.length];
+    }
+
+    /**
+     * Развернуть годовой ряд в точки графика
+     * В помесячном режиме годы заменяются помесячными значениями
+     * @param {Array} series - Проекция по годам
+     * @param {Object} settings - Настройки отображения
+     * @returns {Array} Точки графика
+     */
+    expandSeries(series, settings) {
+        if (!series || settings.resolution !== 'monthly') {
+            return series || [];
+        }
+
+        return series.flatMap(item => item.months && item.months.length > 0
+            ? item.months.map(monthData => ({ ...monthData, year: item.year }))
+            : [item]);
+    }
+
+    /**
+     * Подпись точки на оси X
+     * @param {Object} point - Точка ряда (год или месяц)
+     * @returns {string|number} Подпись
+     */
+    getPointLabel(point) {
+        return point.month ? `${point.year}г ${point.month}м` : point.year;
+    }
+
     /**
      * Подготовка данных для графика состава портфеля
      */
@@ -264,6 +700,260 @@ class ChartManager {
         };
     }
 
+    /**
+     * Создание графика погашения кредита: основной долг и проценты по годам, остаток долга
+     * @param {HTMLCanvasElement} canvas - Canvas элемент
+     * @param {Object} schedule - График с итогами по годам (LiabilityClasses.getAmortizationSchedule)
+     * @param {string} title - Заголовок графика
+     */
+    createAmortizationChart(canvas, schedule, title = 'График погашения') {
+        const chartId = 'amortization';
+
+        if (this.charts.has(chartId)) {
+            this.charts.get(chartId).destroy();
+        }
+
+        const ctx = canvas.getContext('2d');
+
+        const chart = new Chart(ctx, {
+            type: 'bar',
+            data: this.prepareAmortizationData(schedule),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false,
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            usePointStyle: true,
+                            padding: 20
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#fff',
+                        bodyColor: '#fff',
+                        cornerRadius: 8,
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${this.formatCurrency(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        stacked: true,
+                        grid: {
+                            display: false
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        title: {
+                            display: true,
+                            text: 'Выплаты за год'
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.1)'
+                        },
+                        ticks: {
+                            callback: (value) => this.formatCompactCurrency(value)
+                        }
+                    },
+                    balance: {
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'Остаток долга'
+                        },
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            callback: (value) => this.formatCompactCurrency(value)
+                        }
+                    }
+                }
+            }
+        });
+
+        this.charts.set(chartId, chart);
+        return chart;
+    }
+
+    /**
+     * Подготовка данных для графика погашения кредита
+     */
+    prepareAmortizationData(schedule) {
+        const years = schedule?.years || [];
+        const datasets = [
+            {
+                label: 'Основной долг',
+                data: years.map(item => item.principal),
+                backgroundColor: this.colors.base,
+                stack: 'payments'
+            },
+            {
+                label: 'Проценты',
+                data: years.map(item => item.interest),
+                backgroundColor: this.colors.pessimistic,
+                stack: 'payments'
+            }
+        ];
+
+        if (years.some(item => item.prepayment > 0)) {
+            datasets.push({
+                label: 'Досрочно',
+                data: years.map(item => item.prepayment),
+                backgroundColor: this.colors.optimistic,
+                stack: 'payments'
+            });
+        }
+
+        datasets.push({
+            type: 'line',
+            label: 'Остаток долга',
+            data: years.map(item => item.remainingBalance),
+            borderColor: this.colors.invested,
+            backgroundColor: this.colors.invested,
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+            yAxisID: 'balance'
+        });
+
+        return { labels: years.map(item => item.year), datasets };
+    }
+
+    /**
+     * Создание графика остатка долгов по стратегиям погашения
+     * @param {HTMLCanvasElement} canvas - Canvas элемент
+     * @param {Object} debtPayoff - Результат FinancialEngine.calculateDebtPayoff
+     * @param {Object} strategies - Справочник стратегий (названия)
+     */
+    createDebtPayoffChart(canvas, debtPayoff, strategies = {}) {
+        const chartId = 'debt-payoff';
+
+        if (this.charts.has(chartId)) {
+            this.charts.get(chartId).destroy();
+        }
+
+        const ctx = canvas.getContext('2d');
+
+        const chart = new Chart(ctx, {
+            type: 'line',
+            data: this.prepareDebtPayoffData(debtPayoff, strategies),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false,
+                },
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            usePointStyle: true,
+                            padding: 20
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        titleColor: '#fff',
+                        bodyColor: '#fff',
+                        cornerRadius: 8,
+                        callbacks: {
+                            title: (items) => `Месяц ${items[0].label}`,
+                            label: (context) => `${context.dataset.label}: ${this.formatCurrency(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Месяцы от сегодня'
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.1)'
+                        },
+                        ticks: {
+                            maxTicksLimit: 12
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Остаток долгов'
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.1)'
+                        },
+                        ticks: {
+                            callback: (value) => this.formatCompactCurrency(value)
+                        }
+                    }
+                },
+                elements: {
+                    point: {
+                        radius: 0,
+                        hoverRadius: 4
+                    }
+                }
+            }
+        });
+
+        this.charts.set(chartId, chart);
+        return chart;
+    }
+
+    /**
+     * Подготовка данных для графика погашения долгов: стратегии и только обязательные платежи
+     */
+    prepareDebtPayoffData(debtPayoff, strategies) {
+        if (!debtPayoff) {
+            return { labels: [], datasets: [] };
+        }
+
+        const length = debtPayoff.baseline.balances.length;
+        // Погашенные раньше стратегии продолжаем нулем до конца графика
+        const pad = (balances) => Array.from({ length }, (_, month) => Math.round(balances[month] || 0));
+        const colors = { avalanche: this.colors.base, snowball: this.colors.optimistic, custom: this.colors.realty };
+
+        const datasets = Object.entries(debtPayoff.strategies).map(([strategy, result], index) => ({
+            label: strategies[strategy]?.name || strategy,
+            data: pad(result.balances),
+            borderColor: colors[strategy] || this.palette[index % this.palette.length],
+            backgroundColor: colors[strategy] || this.palette[index % this.palette.length],
+            borderWidth: 2,
+            fill: false
+        }));
+
+        datasets.push({
+            label: 'Только обязательные платежи',
+            data: pad(debtPayoff.baseline.balances),
+            borderColor: this.colors.invested,
+            backgroundColor: this.colors.invested,
+            borderWidth: 2,
+            borderDash: [6, 4],
+            fill: false
+        });
+
+        return { labels: Array.from({ length }, (_, month) => month), datasets };
+    }
+
     /**
      * Обновление существующего графика
      * @param {string} chartId - ID графика
@@ -345,8 +1035,9 @@ class ChartManager {
      * @param {string} selectedScenario - Выбранный сценарий
      * @param {Object} settings - Настройки отображения
      * @param {Object} portfolio - Портфель для получения названий
+     * @param {Object} scenarios - Сценарии (для названия выбранного)
      */
-    createAssetComparisonChart(canvas, detailedProjections, selectedScenario, settings, portfolio) {
+    createAssetComparisonChart(canvas, detailedProjections, selectedScenario, settings, portfolio, scenarios = {}) {
         const chartId = 'asset-comparison';
 
         console.log('Creating asset comparison chart:', {
@@ -382,7 +1073,7 @@ class ChartManager {
                 plugins: {
                     title: {
                         display: true,
-                        text: `Сравнение активов - ${this.getScenarioName(selectedScenario)} сценарий`,
+                        text: `Сравнение активов - ${this.getScenarioName(selectedScenario, scenarios)} сценарий`,
                         font: {
                             size: 16,
                             weight: 'bold'
@@ -417,7 +1108,7 @@ class ChartManager {
                     x: {
                         title: {
                             display: true,
-                            text: 'Годы',
+                            text: settings.resolution === 'monthly' ? 'Годы / месяцы' : 'Годы',
                             font: {
                                 size: 14,
                                 weight: 'bold'
@@ -459,7 +1150,7 @@ class ChartManager {
                         borderWidth: 2
                     },
                     point: {
-                        radius: 4,
+                        radius: settings.resolution === 'monthly' ? 0 : 4,
                         hoverRadius: 6
                     }
                 }
@@ -488,18 +1179,18 @@ class ChartManager {
             showRealValues: settings.showRealValues
         });
 
-        // Создаем лейблы (годы)
+        // Создаем лейблы (годы или месяцы)
         if (detailedProjections.assets && Object.keys(detailedProjections.assets).length > 0) {
             const firstAsset = Object.values(detailedProjections.assets)[0];
             if (firstAsset[selectedScenario]) {
-                labels.push(...firstAsset[selectedScenario].map(item => item.year));
+                labels.push(...this.expandSeries(firstAsset[selectedScenario], settings).map(item => this.getPointLabel(item)));
                 console.log('Chart labels (years):', labels);
             }
         }
 
         // Добавляем линии для каждого актива
         Object.entries(detailedProjections.assets).forEach(([assetId, assetData]) => {
-            const scenarioData = assetData[selectedScenario] || [];
+            const scenarioData = this.expandSeries(assetData[selectedScenario], settings);
             const color = this.colors[assetData.type] || '#64748b';
             const dataValues = scenarioData.map(item => settings.showRealValues ? item.real : item.nominal);
 
@@ -522,7 +1213,7 @@ class ChartManager {
 
         // Добавляем линию для обязательств (если есть)
         if (detailedProjections.liabilities && detailedProjections.liabilities[selectedScenario]) {
-            const liabilityData = detailedProjections.liabilities[selectedScenario];
+            const liabilityData = this.expandSeries(detailedProjections.liabilities[selectedScenario], settings);
             if (liabilityData.some(item => item.value > 0)) {
                 datasets.push({
                     label: 'Обязательства',
@@ -543,9 +1234,15 @@ class ChartManager {
     /**
      * Получение названия сценария
      * @param {string} scenario - Код сценария
+     * @param {Object} scenarios - Сценарии (пользовательские названия)
      * @returns {string} Название сценария
      */
-    getScenarioName(scenario) {
+    getScenarioName(scenario, scenarios) {
+        const custom = scenarios?.list?.find(item => item.id === scenario);
+        if (custom) {
+            return custom.name;
+        }
+
         const names = {
             'pessimistic': 'Пессимистичный',
             'base': 'Базовый',
@@ -18,6 +18,68 @@ class DataManager {
                 name: 'Мой портфель',
                 assets: [],
                 liabilities: [],
+                events: [], // Жизненные события: разовые поступления и траты
+                goals: [], // Финансовые цели: [{ id, type, name, amount, date, priority, assetIds }]
+                budget: {
+                    enabled: false, // Профицит бюджета заменяет общий график взносов
+                    salary: { amount: 0, growth: 5 }, // Доход в месяц после НДФЛ и его рост в год (%)
+                    bonuses: [], // [{ id, name, amount, month }]
+                    expenses: [] // [{ id, category, name, amount, inflation }], inflation: null - инфляция сценария
+                },
+                retirement: {
+                    enabled: false, // После выхода на пенсию взносы прекращаются, расходы изымаются из портфеля
+                    currentAge: 35,
+                    retirementAge: 60,
+                    lifeExpectancy: 90,
+                    monthlySpending: 100000, // В сегодняшних деньгах
+                    strategy: 'fixed', // 'fixed' | 'percentage' | 'guardrails'
+                    withdrawalRate: 4,
+                    guardrails: { upper: 20, lower: 20, adjustment: 10 }
+                },
+                cashAccount: {
+                    enabled: false, // Доход зачисляется на счет, взносы, платежи по кредитам и события списываются с него
+                    balance: 0,
+                    monthlyIncome: 0, // Свободный доход в месяц, если бюджет выключен
+                    incomeGrowth: 5,
+                    onDeficit: 'sell', // 'sell' | 'flag'
+                    sellOrder: ['cash', 'bonds', 'stocks', 'realty'] // Типы активов в порядке продажи при дефиците
+                },
+                debtPayoff: {
+                    extraPayment: 10000, // Сверх обязательных платежей в месяц
+                    customOrder: [] // ID кредитов для своей очередности погашения
+                },
+                investOrPrepay: {
+                    enabled: false, // Сравнение считается только после включения
+                    liabilityId: null, // Кредит для сравнения (null - ипотека или первый кредит)
+                    monthlyAmount: 20000, // Свободные деньги в месяц
+                    assetIds: [] // Куда инвестировать ([] - весь портфель)
+                },
+                rentVsBuy: {
+                    enabled: false, // Сравнение считается только после включения
+                    price: 10000000, // Цена жилья
+                    downPayment: 20, // Первоначальный взнос (% от цены)
+                    rate: null, // Ставка ипотеки (null - ставка ипотеки по умолчанию)
+                    termYears: null, // Срок ипотеки (null - срок по умолчанию)
+                    monthlyRent: 50000, // Аренда такого же жилья в месяц
+                    rentGrowth: null, // Рост аренды (% в год), null - инфляция сценария
+                    propertyTax: 0.1, // Налог на имущество (% от стоимости в год)
+                    maintenance: 1, // Ремонт и обслуживание (% от стоимости в год)
+                    insurance: 0, // Страховка (₽ в год в сегодняшних деньгах)
+                    allocation: 'current' // Куда инвестирует арендатор: 'current' | ID профиля риска
+                },
+                contribution: {
+                    amount: 0,
+                    frequency: 'monthly',
+                    startYear: 1,
+                    endYear: null,
+                    indexation: 0
+                },
+                rebalancing: {
+                    policy: 'none', // 'none' | 'yearly' | 'quarterly' | 'threshold'
+                    band: 5, // Допустимое отклонение доли от цели (п.п.) для 'threshold'
+                    target: 'current', // 'current' | 'custom' | ID профиля риска
+                    allocation: { stocks: 0, bonds: 0, cash: 0, realty: 0 } // Доли для 'custom' (%)
+                },
                 totalValue: 0,
                 totalLiabilities: 0,
                 netWorth: 0,
@@ -28,14 +90,35 @@ class DataManager {
                 horizonYears: 10,
                 inflation: 6.0,
                 showRealValues: false,
+                resolution: 'yearly', // 'yearly' | 'monthly'
+                monteCarlo: {
+                    simulations: 1000,
+                    target: 0, // Целевая чистая стоимость на горизонте (0 - не задана)
+                    seed: Math.floor(Math.random() * 2147483646) + 1 // Зерно для воспроизводимых симуляций
+                },
+                tax: {
+                    enabled: false,
+                    rate: 13,
+                    highRate: 15,
+                    threshold: 2400000, // Доход за год, сверх которого действует повышенная ставка
+                    depositKeyRate: 21 // Максимальная ключевая ставка года для необлагаемых процентов по вкладам
+                },
                 currency: 'RUB'
             },
             scenarios: {
-                returnRates: {
-                    stocks: { pessimistic: 5, base: 12, optimistic: 20 },
-                    bonds: { pessimistic: 3, base: 8, optimistic: 12 },
-                    cash: { pessimistic: 4, base: 7, optimistic: 10 },
-                    realty: { pessimistic: 0, base: 5, optimistic: 12 }
+                // Список сценариев; inflation: null - используется общая инфляция из настроек,
+                // paths - траектории инфляции и доходностей по годам (ключ - 'inflation' или тип актива)
+                list: [
+                    { id: 'pessimistic', name: 'Пессимистичный', color: '#dc2626', inflation: null, paths: {} },
+                    { id: 'base', name: 'Базовый', color: '#2563eb', inflation: null, paths: {} },
+                    { id: 'optimistic', name: 'Оптимистичный', color: '#059669', inflation: null, paths: {} }
+                ],
+                returnModel: {
+                    // mode: 'premium' - поправка к инфляции, 'absolute' - номинальная доходность
+                    stocks: { mode: 'premium', pessimistic: -1, base: 5, optimistic: 10 },
+                    bonds: { mode: 'premium', pessimistic: -2, base: 1, optimistic: 5 },
+                    cash: { mode: 'premium', pessimistic: -1, base: 0, optimistic: 1 },
+                    realty: { mode: 'premium', pessimistic: -4, base: 0, optimistic: 2 }
                 }
             },
             version: '2.0.0'
@@ -137,6 +220,41 @@ class DataManager {
         }
     }
 
+    /**
+     * Экспорт таблицы в CSV (разделитель «;» и BOM - чтобы Excel открыл кириллицу и числа)
+     * @param {Array<Array>} rows - Строки таблицы, первая - заголовок
+     * @param {string} filename - Имя файла
+     * @returns {boolean} Успешность экспорта
+     */
+    exportCsv(rows, filename) {
+        try {
+            const escape = (value) => {
+                if (value === null || value === undefined) return '';
+                const text = typeof value === 'number' ? String(value).replace('.', ',') : String(value);
+                return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const csv = rows.map(row => row.map(escape).join(';')).join('\r\n');
+
+            const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            eventBus.emit('data:exported', { filename });
+            return true;
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            eventBus.emit('data:error', { type: 'export', error });
+            return false;
+        }
+    }
+
     /**
      * Импорт данных
      */
@@ -190,7 +308,9 @@ class DataManager {
                 data.portfolio &&
                 data.settings &&
                 data.scenarios &&
-                Array.isArray(data.portfolio.assets)
+                Array.isArray(data.portfolio.assets) &&
+                (data.portfolio.events === undefined || Array.isArray(data.portfolio.events)) &&
+                (data.portfolio.goals === undefined || Array.isArray(data.portfolio.goals))
             );
         } catch {
             return false;
@@ -201,19 +321,142 @@ class DataManager {
      * Мерж с дефолтными данными
      */
     mergeWithDefaults(data) {
+        const portfolio = { ...this.defaultData.portfolio, ...data.portfolio };
+
+        // Старые сохранения не содержат графиков взносов - дополняем их
+        portfolio.contribution = { ...this.defaultData.portfolio.contribution, ...(portfolio.contribution || {}) };
+        portfolio.rebalancing = {
+            ...this.defaultData.portfolio.rebalancing,
+            ...(portfolio.rebalancing || {}),
+            allocation: { ...this.defaultData.portfolio.rebalancing.allocation, ...(portfolio.rebalancing?.allocation || {}) }
+        };
+        portfolio.events = (Array.isArray(portfolio.events) ? portfolio.events : []).map(event => ({
+            direction: 'outflow',
+            funding: 'portfolio',
+            assetId: null,
+            acquire: null,
+            ...event,
+            loan: { type: 'consumer', rate: 0, termYears: 1, paymentType: 'annuity', ...(event.loan || {}) }
+        }));
+        portfolio.goals = (Array.isArray(portfolio.goals) ? portfolio.goals : []).map(goal => ({
+            priority: 'medium',
+            ...goal,
+            assetIds: Array.isArray(goal.assetIds) ? goal.assetIds : []
+        }));
+        portfolio.budget = {
+            ...this.defaultData.portfolio.budget,
+            ...(portfolio.budget || {}),
+            salary: { ...this.defaultData.portfolio.budget.salary, ...(portfolio.budget?.salary || {}) },
+            bonuses: Array.isArray(portfolio.budget?.bonuses) ? portfolio.budget.bonuses : [],
+            expenses: Array.isArray(portfolio.budget?.expenses) ? portfolio.budget.expenses : []
+        };
+        portfolio.liabilities = (portfolio.liabilities || []).map(liability => ({
+            paymentType: 'annuity',
+            startDate: null, // Старые кредиты без даты выдачи начинаются сегодня
+            paymentsMade: null,
+            actualBalance: null,
+            ...liability,
+            prepayments: Array.isArray(liability.prepayments) ? liability.prepayments : []
+        }));
+        portfolio.retirement = {
+            ...this.defaultData.portfolio.retirement,
+            ...(portfolio.retirement || {}),
+            guardrails: { ...this.defaultData.portfolio.retirement.guardrails, ...(portfolio.retirement?.guardrails || {}) }
+        };
+        portfolio.cashAccount = {
+            ...this.defaultData.portfolio.cashAccount,
+            ...(portfolio.cashAccount || {}),
+            sellOrder: Array.isArray(portfolio.cashAccount?.sellOrder)
+                ? portfolio.cashAccount.sellOrder
+                : [...this.defaultData.portfolio.cashAccount.sellOrder]
+        };
+        portfolio.debtPayoff = {
+            ...this.defaultData.portfolio.debtPayoff,
+            ...(portfolio.debtPayoff || {}),
+            customOrder: Array.isArray(portfolio.debtPayoff?.customOrder) ? portfolio.debtPayoff.customOrder : []
+        };
+        portfolio.investOrPrepay = {
+            ...this.defaultData.portfolio.investOrPrepay,
+            ...(portfolio.investOrPrepay || {}),
+            assetIds: Array.isArray(portfolio.investOrPrepay?.assetIds) ? portfolio.investOrPrepay.assetIds : []
+        };
+        portfolio.rentVsBuy = { ...this.defaultData.portfolio.rentVsBuy, ...(portfolio.rentVsBuy || {}) };
+        portfolio.assets = (portfolio.assets || []).map(asset => ({
+            ...asset,
+            contribution: { ...this.defaultData.portfolio.contribution, ...(asset.contribution || {}) },
+            tax: { account: 'regular', holdingYears: 0, incomeYield: null, ...(asset.tax || {}) },
+            // Сохраненные активы без комиссий считаются бесплатными, чтобы не менять прежние результаты
+            fees: { management: 0, custody: 0, commission: 0, ...(asset.fees || {}) },
+            overrides: {
+                volatility: null,
+                maturityDate: null,
+                ...(asset.overrides || {}),
+                returns: { ...(asset.overrides?.returns || {}) }
+            },
+            // Сохраненная недвижимость без аренды не несет расходов владения, чтобы не менять прежние результаты
+            rental: asset.type === 'realty'
+                ? {
+                    monthlyRent: 0,
+                    rentGrowth: null,
+                    vacancy: 0,
+                    propertyTax: 0,
+                    maintenance: 0,
+                    insurance: 0,
+                    management: 0,
+                    liabilityId: null,
+                    ...(asset.rental || {})
+                }
+                : null
+        }));
+
+        const scenarioList = Array.isArray(data.scenarios?.list) && data.scenarios.list.length > 0
+            ? data.scenarios.list.map(scenario => ({ ...scenario, paths: scenario.paths || {} }))
+            : this.defaultData.scenarios.list.map(scenario => ({ ...scenario, paths: {} }));
+
+        // Вложенные настройки Монте-Карло и налогов мержим отдельно, чтобы не потерять зерно
+        const settings = { ...this.defaultData.settings, ...data.settings };
+        settings.monteCarlo = { ...this.defaultData.settings.monteCarlo, ...(data.settings?.monteCarlo || {}) };
+        settings.tax = { ...this.defaultData.settings.tax, ...(data.settings?.tax || {}) };
+
         return {
-            portfolio: { ...this.defaultData.portfolio, ...data.portfolio },
-            settings: { ...this.defaultData.settings, ...data.settings },
+            portfolio,
+            settings,
             scenarios: {
-                returnRates: {
-                    ...this.defaultData.scenarios.returnRates,
-                    ...(data.scenarios?.returnRates || {})
-                }
+                list: scenarioList,
+                returnModel: this.mergeReturnModel(data.scenarios?.returnModel, scenarioList, data.scenarios?.returnRates)
             },
             version: this.defaultData.version
         };
     }
 
+    /**
+     * Мерж модели доходности с дефолтной (по каждому типу актива)
+     * Доходности старых сохранений (returnRates - номинальные ставки по сценариям) переносятся
+     * в модель в режиме 'absolute', если для типа актива модели еще нет. Сценарии без значения получают 0.
+     */
+    mergeReturnModel(returnModel = {}, scenarioList = this.defaultData.scenarios.list, returnRates = null) {
+        const merged = {};
+        const defaults = this.defaultData.scenarios.returnModel;
+
+        returnModel = { ...(returnModel || {}) };
+        Object.entries(returnRates || {}).forEach(([assetType, rates]) => {
+            if (!returnModel[assetType] && rates && typeof rates === 'object') {
+                returnModel[assetType] = { ...rates, mode: 'absolute' };
+            }
+        });
+
+        Object.keys({ ...defaults, ...returnModel }).forEach(assetType => {
+            merged[assetType] = { ...defaults[assetType], ...(returnModel[assetType] || {}) };
+            scenarioList.forEach(scenario => {
+                if (typeof merged[assetType][scenario.id] !== 'number') {
+                    merged[assetType][scenario.id] = 0;
+                }
+            });
+        });
+
+        return merged;
+    }
+
     /**
      * Очистить все данные
      */
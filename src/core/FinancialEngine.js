@@ -12,7 +12,7 @@ class FinancialEngine {
      * @param {Object} portfolio - Портфель активов и обязательств
      * @param {Object} scenarios - Сценарии доходности
      * @param {Object} settings - Настройки расчета
-     * @returns {Object} Проекции по всем сценариям
+     * @returns {Object} Проекции по всем сценариям (ключ - ID сценария)
      */
     calculateProjections(portfolio, scenarios, settings) {
         const cacheKey = this.getCacheKey(portfolio, scenarios, settings);
@@ -24,83 +24,2990 @@ class FinancialEngine {
 
         console.log('FinancialEngine: Calculating new projections');
 
-        const projections = {
-            pessimistic: this.calculateScenarioProjection(portfolio, scenarios, 'pessimistic', settings),
-            base: this.calculateScenarioProjection(portfolio, scenarios, 'base', settings),
-            optimistic: this.calculateScenarioProjection(portfolio, scenarios, 'optimistic', settings)
+        const projections = {};
+        this.getScenarioList(scenarios).forEach(scenario => {
+            projections[scenario.id] = this.calculateScenarioProjection(portfolio, scenarios, scenario.id, settings);
+        });
+
+        // Кэшируем результат
+        this.cache.set(cacheKey, projections);
+
+        return projections;
+    }
+
+    /**
+     * Расчет проекции для конкретного сценария
+     * @param {Object} portfolio - Портфель активов
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {string} scenarioType - ID сценария из scenarios.list
+     * @param {Object} settings - Настройки расчета
+     * @param {Object} options - { trackAssets } - добавить в строки стоимость каждого актива (assets[id]);
+     *                          { goals, extraContribution, returnOverride } - расчет финансовых целей (calculateGoals)
+     *                          и сравнение «гасить или инвестировать» (calculateInvestOrPrepay)
+     * @returns {Array} Массив данных по годам (в помесячном режиме каждый год содержит months)
+     */
+    calculateScenarioProjection(portfolio, scenarios, scenarioType, settings, options = {}) {
+        const years = [];
+        const periodsPerYear = this.getPeriodsPerYear(settings);
+
+        // Жизненные события: приобретаемые активы и кредиты появляются в проекции вместе с событием
+        const lifeEvents = this.prepareLifeEvents(portfolio, settings, periodsPerYear);
+        const assets = [...(portfolio.assets || []), ...lifeEvents.assets];
+        let totalEventFlow = 0;
+
+        // Группируем активы по типам
+        const assetsByType = this.groupAssetsByType(assets);
+
+        // Инфляция и доходности каждого года из единой модели доходности
+        const path = this.getScenarioPath(scenarioType, scenarios, settings, Object.keys(assetsByType));
+
+        // Текущая стоимость каждого актива с учетом роста и взносов
+        const assetValues = new Map();
+        assets.forEach(asset => assetValues.set(asset, asset.value || 0));
+        const contributionShares = this.getContributionShares(portfolio.assets || []);
+        let totalContributions = 0;
+
+        // Профицит семейного бюджета заменяет общий график взносов портфеля
+        const budget = this.getBudget(portfolio);
+        const budgetShares = budget ? this.getBudgetShares(portfolio) : null;
+        const stepPortfolio = budget ? { ...portfolio, contribution: null } : portfolio;
+        let totalFees = 0;
+
+        // Налоги считаются параллельно: доналоговые значения не меняются
+        const taxState = settings.tax?.enabled ? this.createTaxState(assets) : null;
+
+        // Ребалансировка к целевому распределению по типам активов
+        const rebalancing = this.getRebalancingPlan(portfolio);
+        let totalRebalances = 0;
+        let totalTurnover = 0;
+
+        // Взносы и комиссии по каждому активу (для детальных проекций)
+        const assetTotals = new Map(assets.map(asset => [asset, { contributions: 0, fees: 0 }]));
+        const trackedPoint = (point, time) => options.trackAssets
+            ? { ...point, assets: this.buildAssetPoints(assets, assetValues, assetTotals, time, path) }
+            : point;
+
+        // Обязательства остаются постоянными по сценариям, но уменьшаются со временем
+        const liabilities = [...this.getCurrentLiabilities(portfolio), ...lifeEvents.liabilities];
+
+        // Финансовые цели: изъятия на даты целей, дополнительный взнос и доходность под цель
+        const goalSteps = options.goals ? this.prepareGoalSteps(options.goals, periodsPerYear) : null;
+        const extraContribution = options.extraContribution
+            ? this.prepareGoalContribution(portfolio, options.extraContribution)
+            : null;
+        const returnOverride = options.returnOverride
+            ? { assets: new Set(this.getGoalAssets(portfolio, options.returnOverride.assetIds)), rate: options.returnOverride.rate }
+            : null;
+
+        // Пенсия: после выхода на пенсию взносы прекращаются, расходы изымаются из портфеля
+        const retirement = this.getRetirementPlan(portfolio);
+        const retirementState = retirement ? this.createRetirementState() : null;
+        const retiredPortfolio = { ...stepPortfolio, contribution: null };
+
+        // Денежный счет: доход зачисляется, взносы, платежи по кредитам и события списываются
+        const cashPlan = this.getCashAccount(portfolio);
+        const cashState = cashPlan ? this.createCashState(cashPlan) : null;
+
+        // Недвижимость с арендой и расходами владения
+        const rentalAssets = assets.filter(asset => this.getRental(asset));
+
+        console.log(`FinancialEngine ${scenarioType} calculation:`, {
+            assetsCount: assets.length,
+            eventsCount: portfolio.events?.length || 0,
+            liabilitiesCount: liabilities.length,
+            totalLiabilities: portfolio.totalLiabilities,
+            periodsPerYear
+        });
+
+        for (let year = 0; year <= settings.horizonYears; year++) {
+            const months = [];
+            let contributions = 0;
+            let fees = 0;
+            let rebalances = 0;
+            let turnover = 0;
+            let eventFlow = 0;
+            let eventShortfall = 0;
+            const events = [];
+            const goals = [];
+            const yearBudget = { income: 0, expenses: 0, loanPayments: 0, surplus: 0 };
+            const retired = retirement ? year >= retirement.startYear : false;
+            const yearRetirement = { withdrawn: 0, shortfall: 0 };
+
+            if (retired) {
+                this.startRetirementYear(retirement, retirementState, assetValues, path, year);
+            }
+            if (cashState) {
+                this.startCashYear(cashState);
+            }
+            const yearRental = new Map(rentalAssets.map(asset => [asset, this.createRentalTotals(assetValues.get(asset))]));
+
+            if (year > 0) {
+                for (let period = 1; period <= periodsPerYear; period++) {
+                    let periodContributions = 0;
+                    let periodEvents = [];
+                    const budgetStep = budget && !retired
+                        ? this.calculateBudgetStep(budget, liabilities, path, year, period, periodsPerYear)
+                        : null;
+                    if (budgetStep) {
+                        this.addBudgetTotals(yearBudget, budgetStep);
+                    }
+                    const rentSteps = rentalAssets.map(asset => this.calculateRentalStep(
+                        asset.rental, assetValues.get(asset), path, year, periodsPerYear
+                    ));
+
+                    assets.forEach(asset => {
+                        const previousValue = assetValues.get(asset);
+                        const returnRate = returnOverride?.assets.has(asset)
+                            ? returnOverride.rate
+                            : this.getAssetPeriodReturn(
+                                asset, scenarioType, path.rates[year].returns[asset.type], year, period, periodsPerYear
+                            );
+                        const step = this.calculateAssetPeriod(
+                            previousValue,
+                            retired ? { ...asset, contribution: null } : asset,
+                            retired ? retiredPortfolio : stepPortfolio,
+                            contributionShares.get(asset),
+                            returnRate, year, period, periodsPerYear,
+                            this.addMonthlyFlows(
+                                budgetStep ? budgetStep.flows.map(amount =>
+                                    (cashState ? Math.max(0, amount) : amount) * (budgetShares.get(asset) || 0)
+                                ) : null,
+                                extraContribution ? this.getGoalContributionFlows(extraContribution, asset, year, period, periodsPerYear) : null
+                            )
+                        );
+                        assetValues.set(asset, step.value);
+                        periodContributions += step.contributed;
+                        fees += step.fees;
+                        assetTotals.get(asset).contributions += step.contributed;
+                        assetTotals.get(asset).fees += step.fees;
+                        if (yearRental.has(asset)) {
+                            yearRental.get(asset).appreciation += step.value - previousValue - step.contributed;
+                        }
+
+                        if (taxState) {
+                            this.applyTaxPeriod(taxState, asset, previousValue, step, returnRate, year, periodsPerYear);
+                        }
+                    });
+
+                    contributions += periodContributions;
+
+                    let periodRent = 0;
+                    rentalAssets.forEach((asset, index) => {
+                        this.addRentalTotals(yearRental.get(asset), rentSteps[index]);
+                        periodRent += rentSteps[index].netRent;
+                    });
+                    if (!cashState) {
+                        this.applyRentalFlow(assetValues, periodRent, taxState, year);
+                    }
+
+                    const stepEvents = lifeEvents.steps.get((year - 1) * periodsPerYear + period);
+                    if (stepEvents) {
+                        const applied = this.applyLifeEvents(stepEvents, assetValues, taxState, year, cashState);
+                        eventFlow += applied.flow;
+                        eventShortfall += applied.shortfall;
+                        periodEvents = applied.events;
+                        events.push(...applied.events);
+                    }
+
+                    const stepGoals = goalSteps?.get((year - 1) * periodsPerYear + period);
+                    if (stepGoals) {
+                        goals.push(...this.applyGoals(stepGoals, assetValues, taxState, year, path));
+                    }
+
+                    if (retired) {
+                        const withdrawal = this.applyRetirementStep(
+                            retirementState, assetValues, taxState, year, period, periodsPerYear
+                        );
+                        yearRetirement.withdrawn += withdrawal.withdrawn;
+                        yearRetirement.shortfall += withdrawal.shortfall;
+                    }
+
+                    if (cashState) {
+                        this.applyCashStep(cashState, cashPlan, {
+                            income: budgetStep
+                                ? budgetStep.income - budgetStep.expenses
+                                : (retired ? 0 : this.getCashIncome(cashPlan, year, periodsPerYear)),
+                            rent: periodRent,
+                            contributions: periodContributions,
+                            loanPayments: budgetStep
+                                ? budgetStep.loanPayments
+                                : this.calculateStepLoanPayments(liabilities, year, period, periodsPerYear)
+                        }, assetValues, taxState, year, year - 1 + period / periodsPerYear);
+                    }
+
+                    const tradable = this.getTradableValues(assetValues);
+                    if (rebalancing && this.isRebalanceDue(rebalancing, tradable, period, periodsPerYear)) {
+                        const trade = this.rebalanceAssets(tradable, rebalancing.target);
+                        tradable.forEach((value, asset) => assetValues.set(asset, value));
+                        if (trade.turnover > 0) {
+                            rebalances++;
+                            turnover += trade.turnover;
+                            fees += trade.fees;
+                            trade.deltas.forEach((delta, asset) => { assetTotals.get(asset).fees += delta.fee; });
+
+                            if (taxState) {
+                                this.applyTaxRebalance(taxState, trade.deltas, year);
+                            }
+                        }
+                    }
+
+                    // В помесячном режиме сохраняем состояние на конец каждого месяца
+                    if (periodsPerYear === 12) {
+                        const time = year - 1 + period / 12;
+                        const point = this.buildProjectionPoint(
+                            assetsByType, assetValues, liabilities, time, path, cashState?.balance
+                        );
+                        months.push({
+                            month: period,
+                            ...trackedPoint(point, time),
+                            ...(taxState ? { afterTax: this.buildAfterTaxPoint(taxState, point, time, path, settings) } : {}),
+                            contributions: periodContributions,
+                            totalContributions: totalContributions + contributions,
+                            totalFees: totalFees + fees,
+                            events: periodEvents,
+                            totalEventFlow: totalEventFlow + eventFlow,
+                            ...(budgetStep ? {
+                                budget: {
+                                    income: budgetStep.income,
+                                    expenses: budgetStep.expenses,
+                                    loanPayments: budgetStep.loanPayments,
+                                    surplus: budgetStep.surplus
+                                }
+                            } : {})
+                        });
+                    }
+                }
+
+                if (taxState) {
+                    this.settleTaxYear(taxState, year, settings);
+                }
+            }
+
+            totalContributions += contributions;
+            totalFees += fees;
+            totalRebalances += rebalances;
+            totalTurnover += turnover;
+            totalEventFlow += eventFlow;
+            yearRental.forEach((total, asset) => { total.value = assetValues.get(asset); });
+
+            // Годовая строка - состояние на конец года
+            const point = this.buildProjectionPoint(
+                assetsByType, assetValues, liabilities, year, path, cashState?.balance
+            );
+            years.push({
+                year,
+                ...trackedPoint(point, year),
+                allocation: this.calculateAllocation(point),
+                ...(taxState ? {
+                    afterTax: this.buildAfterTaxPoint(taxState, point, year, path, settings),
+                    taxes: year > 0 ? taxState.yearTaxes : 0,
+                    totalTaxes: taxState.totalTaxes,
+                    totalDeductions: taxState.totalDeductions
+                } : {}),
+                contributions,
+                totalContributions,
+                fees,
+                totalFees,
+                rebalances,
+                turnover,
+                totalRebalances,
+                totalTurnover,
+                events,
+                eventFlow,
+                totalEventFlow,
+                eventShortfall,
+                ...(budget ? { budget: yearBudget } : {}),
+                ...(cashState ? { cashFlow: this.buildCashStatement(cashState) } : {}),
+                ...(rentalAssets.length > 0 ? {
+                    rental: Object.fromEntries(rentalAssets.map(asset => [asset.id, yearRental.get(asset)]))
+                } : {}),
+                ...(goalSteps ? { goals } : {}),
+                ...(retirement ? {
+                    retirement: this.buildRetirementPoint(retirement, retirementState, yearRetirement, retired, assetValues, path, year)
+                } : {}),
+                months
+            });
+        }
+
+        return years;
+    }
+
+    /**
+     * Список сценариев для расчета
+     * @param {Object} scenarios - Сценарии
+     * @returns {Array} [{ id, name, color, inflation }]
+     */
+    getScenarioList(scenarios) {
+        if (scenarios?.list && scenarios.list.length > 0) {
+            return scenarios.list;
+        }
+        return [{ id: 'base', name: 'Базовый', color: '#2563eb', inflation: null }];
+    }
+
+    /**
+     * ID основного сценария (для метрик и Монте-Карло)
+     * @param {Object} scenarios - Сценарии
+     * @returns {string} ID сценария "base", если он есть, иначе первого в списке
+     */
+    getBaseScenarioId(scenarios) {
+        const list = this.getScenarioList(scenarios);
+        return (list.find(scenario => scenario.id === 'base') || list[0]).id;
+    }
+
+    /**
+     * Инфляция сценария: траектория на заданный год, собственная или общая из настроек
+     * @param {string} scenarioId - ID сценария
+     * @param {Object} scenarios - Сценарии
+     * @param {Object} settings - Настройки расчета
+     * @param {number|null} year - Год проекции (без года - постоянная инфляция сценария)
+     * @returns {number} Инфляция в процентах
+     */
+    getScenarioInflation(scenarioId, scenarios, settings, year = null) {
+        const scenario = this.getScenarioList(scenarios).find(item => item.id === scenarioId);
+
+        const pathValue = this.getPathValue(scenario?.paths?.inflation, year);
+        if (pathValue !== null) return pathValue;
+
+        const inflation = scenario?.inflation;
+        return inflation === null || inflation === undefined || inflation === '' ? settings.inflation : inflation;
+    }
+
+    /**
+     * Значение кусочной траектории на год
+     * Отрезок { fromYear, toYear, value, endValue } задает значение value на годах fromYear..toYear
+     * (toYear: null - до конца горизонта). Если указан endValue, значение меняется линейно
+     * от value до endValue. При пересечении отрезков действует последний.
+     * @param {Array} segments - Отрезки траектории
+     * @param {number|null} year - Год проекции (начиная с 1)
+     * @returns {number|null} Значение в процентах или null, если год не покрыт траекторией
+     */
+    getPathValue(segments, year) {
+        if (!Array.isArray(segments) || year === null || year === undefined) return null;
+
+        let result = null;
+        segments.forEach(segment => {
+            const fromYear = segment.fromYear || 1;
+            const toYear = segment.toYear ?? Infinity;
+            if (year < fromYear || year > toYear || typeof segment.value !== 'number') return;
+
+            if (typeof segment.endValue === 'number' && isFinite(toYear) && toYear > fromYear) {
+                result = segment.value + (segment.endValue - segment.value) * (year - fromYear) / (toYear - fromYear);
+            } else {
+                result = segment.value;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Траектория сценария на весь горизонт: инфляция и доходности по годам, индекс цен
+     * @param {string} scenarioId - ID сценария
+     * @param {Object} scenarios - Сценарии
+     * @param {Object} settings - Настройки расчета
+     * @param {Array} assetTypes - Типы активов, для которых нужны доходности
+     * @returns {Object} { rates: [{ year, inflation, returns }], priceIndex } - индексы массивов равны году,
+     *                   priceIndex[year] - рост цен с начала проекции к концу года
+     */
+    getScenarioPath(scenarioId, scenarios, settings, assetTypes) {
+        const rates = [];
+        const priceIndex = [1];
+
+        for (let year = 0; year <= settings.horizonYears; year++) {
+            // Для нулевого года берем ставки первого - они нужны только для отображения
+            const rateYear = Math.max(year, 1);
+            const returns = {};
+            assetTypes.forEach(assetType => {
+                returns[assetType] = this.getReturnRate(assetType, scenarioId, scenarios, settings, rateYear);
+            });
+
+            const inflation = this.getScenarioInflation(scenarioId, scenarios, settings, rateYear);
+            rates.push({ year, inflation, returns });
+
+            if (year > 0) {
+                priceIndex.push(priceIndex[year - 1] * (1 + inflation / 100));
+            }
+        }
+
+        return { rates, priceIndex };
+    }
+
+    /**
+     * Индекс цен на момент времени (внутри года инфляция начисляется равномерно)
+     * @param {Object} path - Траектория сценария из getScenarioPath
+     * @param {number} time - Время от начала проекции в годах (может быть дробным)
+     * @returns {number} Во сколько раз выросли цены
+     */
+    getPriceIndex(path, time) {
+        const fullYears = Math.floor(time);
+        const fraction = time - fullYears;
+        const index = path.priceIndex[fullYears];
+
+        if (fraction === 0) return index;
+
+        const inflation = path.rates[fullYears + 1]?.inflation || 0;
+        return index * Math.pow(1 + inflation / 100, fraction);
+    }
+
+    /**
+     * Доходность типа активов в сценарии - единый источник ставок для всех расчетов
+     * Модель задается в scenarios.returnModel по каждому типу актива:
+     * mode 'premium' - значение сценария добавляется к инфляции сценария,
+     * mode 'absolute' - значение сценария и есть номинальная доходность.
+     * Траектория сценария (scenario.paths[assetType]) задает номинальную доходность
+     * на своих годах и перекрывает модель
+     * @param {string} assetType - Тип актива
+     * @param {string} scenarioType - ID сценария
+     * @param {Object} scenarios - Сценарии (с моделью доходности)
+     * @param {Object} settings - Настройки расчета
+     * @param {number|null} year - Год проекции (без года - постоянная ставка сценария)
+     * @returns {number} Годовая номинальная доходность в процентах
+     */
+    getReturnRate(assetType, scenarioType, scenarios, settings, year = null) {
+        const scenario = this.getScenarioList(scenarios).find(item => item.id === scenarioType);
+        const pathValue = this.getPathValue(scenario?.paths?.[assetType], year);
+        if (pathValue !== null) return pathValue;
+
+        const model = scenarios?.returnModel?.[assetType] || this.getDefaultReturnModel(assetType);
+        const value = model?.[scenarioType] || 0;
+
+        if (model?.mode === 'absolute') {
+            return value;
+        }
+
+        return this.calculateInflationAdjustedReturn(this.getScenarioInflation(scenarioType, scenarios, settings, year), value);
+    }
+
+    /**
+     * Модель доходности по умолчанию - премии к инфляции из AssetClasses
+     * @param {string} assetType - Тип актива
+     * @returns {Object|null} { mode, [scenarioId]: значение }
+     */
+    getDefaultReturnModel(assetType) {
+        const assetInfo = window.assetClasses?.getAssetInfo(assetType);
+        if (!assetInfo) return null;
+
+        return { mode: 'premium', ...assetInfo.inflationAdjustment };
+    }
+
+    /**
+     * Собственная доходность актива в сценарии (asset.overrides.returns)
+     * @param {Object} asset - Актив
+     * @param {string} scenarioId - ID сценария
+     * @returns {number|null} Годовая номинальная доходность в процентах, null - действует доходность класса
+     */
+    getAssetReturnOverride(asset, scenarioId) {
+        const value = asset.overrides?.returns?.[scenarioId];
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Срок до погашения актива
+     * @param {Object} asset - Актив
+     * @returns {number|null} Время от начала проекции в годах, null - срок не задан
+     */
+    getMaturityTime(asset) {
+        return this.getTimeFromToday(asset.overrides?.maturityDate);
+    }
+
+    /**
+     * Время от сегодняшнего дня (начала проекции) до даты
+     * @param {string} date - Дата 'YYYY-MM-DD'
+     * @returns {number|null} Время в годах (прошедшие даты - 0), null - дата не задана
+     */
+    getTimeFromToday(date) {
+        if (!date) return null;
+
+        const target = new Date(date);
+        if (Number.isNaN(target.getTime())) return null;
+
+        return Math.max(0, (target - new Date()) / (365.25 * 24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Доходность актива на шаге расчета с учетом собственных параметров
+     * До даты погашения действует собственная доходность актива, после - доходность класса
+     * (средства реинвестируются по рынку). Шаг, на который приходится погашение,
+     * получает доходность, сложенную из обеих ставок пропорционально времени
+     * @param {Object} asset - Актив
+     * @param {string} scenarioId - ID сценария
+     * @param {number} classRate - Доходность класса на этом году, %
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} period - Номер шага внутри года (начиная с 1)
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {number} Годовая номинальная доходность в процентах
+     */
+    getAssetPeriodReturn(asset, scenarioId, classRate, year, period, periodsPerYear) {
+        const override = this.getAssetReturnOverride(asset, scenarioId);
+        if (override === null) return classRate;
+
+        const maturity = this.getMaturityTime(asset);
+        if (maturity === null) return override;
+
+        const start = year - 1 + (period - 1) / periodsPerYear;
+        const share = Math.min(1, Math.max(0, (maturity - start) * periodsPerYear));
+        if (share === 1) return override;
+        if (share === 0) return classRate;
+
+        return (Math.pow(1 + override / 100, share) * Math.pow(1 + classRate / 100, 1 - share) - 1) * 100;
+    }
+
+    /**
+     * Доходность актива в сценарии для отображения: собственная или доходность класса
+     * @param {Object} asset - Актив
+     * @param {string} scenarioId - ID сценария
+     * @param {Object} scenarios - Сценарии
+     * @param {Object} settings - Настройки расчета
+     * @returns {number} Годовая номинальная доходность в процентах
+     */
+    getAssetReturnRate(asset, scenarioId, scenarios, settings) {
+        const override = this.getAssetReturnOverride(asset, scenarioId);
+        return override !== null ? override : this.getReturnRate(asset.type, scenarioId, scenarios, settings);
+    }
+
+    /**
+     * Волатильность актива: собственная или волатильность класса
+     * @param {Object} asset - Актив
+     * @returns {number} Годовое стандартное отклонение доходности в процентах
+     */
+    getAssetVolatility(asset) {
+        const own = asset.overrides?.volatility;
+        if (typeof own === 'number' && Number.isFinite(own)) return Math.max(0, own);
+        return window.assetClasses?.getVolatility(asset.type) || 0;
+    }
+
+    /**
+     * Количество шагов расчета в году
+     * @param {Object} settings - Настройки расчета
+     * @returns {number} 12 в помесячном режиме, 1 в годовом
+     */
+    getPeriodsPerYear(settings) {
+        return settings.resolution === 'monthly' ? 12 : 1;
+    }
+
+    /**
+     * Состояние портфеля на момент времени
+     * @param {Object} assetsByType - Активы, сгруппированные по типам
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @param {Array} liabilities - Обязательства
+     * @param {number} time - Время от начала проекции в годах (может быть дробным)
+     * @param {Object} path - Траектория сценария (для пересчета в реальные деньги)
+     * @param {number} cash - Остаток денежного счета (входит в чистую стоимость, но не в активы)
+     * @returns {Object} { nominal, real, breakdown, cash, liabilities, netWorth }
+     */
+    buildProjectionPoint(assetsByType, assetValues, liabilities, time, path, cash = 0) {
+        const point = {
+            nominal: 0,
+            real: 0,
+            breakdown: {},
+            cash,
+            liabilities: 0,
+            netWorth: 0
+        };
+
+        Object.entries(assetsByType).forEach(([assetType, assets]) => {
+            const typeValue = assets.reduce((sum, asset) => sum + assetValues.get(asset), 0);
+            point.breakdown[assetType] = typeValue;
+            point.nominal += typeValue;
+        });
+
+        // Остаток обязательств
+        point.liabilities = this.calculateLiabilitiesValue(liabilities, time);
+
+        // Чистая стоимость = активы + деньги на счете - обязательства
+        point.netWorth = point.nominal + point.cash - point.liabilities;
+
+        // Реальная стоимость с учетом накопленной инфляции
+        point.real = point.netWorth / this.getPriceIndex(path, time);
+
+        return point;
+    }
+
+    /**
+     * Расчет одного шага (месяца или года) для актива
+     * @param {number} value - Стоимость актива на начало шага
+     * @param {Object} asset - Актив
+     * @param {Object} portfolio - Портфель
+     * @param {number} share - Доля актива в общих взносах портфеля
+     * @param {number} returnRate - Годовая доходность в процентах
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} period - Номер шага внутри года (начиная с 1)
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @param {Array|null} monthlyFlows - Дополнительные взносы по месяцам шага (12 в годовом режиме, 1 в помесячном):
+     *                                     профицит бюджета, взнос под цель
+     * @returns {Object} { value, contributed, fees }
+     */
+    calculateAssetPeriod(value, asset, portfolio, share, returnRate, year, period, periodsPerYear, monthlyFlows = null) {
+        const step = periodsPerYear === 1
+            ? this.calculateAssetYear(value, asset, portfolio, share, returnRate, year, monthlyFlows)
+            : this.calculateAssetMonth(value, asset, portfolio, share, returnRate, year, period, monthlyFlows);
+
+        return this.applyAssetFees(step, asset, periodsPerYear);
+    }
+
+    /**
+     * Удержание комиссий за шаг расчета
+     * Управление и депозитарий - годовой процент от стоимости, удерживаемый равномерно
+     * (за 12 месяцев удерживается столько же, сколько за год); комиссия брокера - процент
+     * от суммы каждой сделки (взноса или изъятия)
+     * @param {Object} step - Результат шага { value, contributed }
+     * @param {Object} asset - Актив с fees { management, custody, commission }
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {Object} { value, contributed, fees }
+     */
+    applyAssetFees(step, asset, periodsPerYear) {
+        const fees = asset.fees || {};
+        const annualFee = Math.min(1, ((fees.management || 0) + (fees.custody || 0)) / 100);
+        const recurring = step.value * (1 - Math.pow(1 - annualFee, 1 / periodsPerYear));
+        const commission = Math.abs(step.contributed) * (fees.commission || 0) / 100;
+        const paid = Math.min(step.value, recurring + commission);
+
+        return { value: step.value - paid, contributed: step.contributed, fees: paid };
+    }
+
+    /**
+     * Расчет одного месяца для актива: месячный рост плюс взносы, приходящиеся на месяц
+     * Ежегодные взносы вносятся в последнем месяце года
+     * @param {number} value - Стоимость актива на начало месяца
+     * @param {Object} asset - Актив
+     * @param {Object} portfolio - Портфель
+     * @param {number} share - Доля актива в общих взносах портфеля
+     * @param {number} returnRate - Годовая доходность в процентах
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} month - Месяц (1-12)
+     * @param {Array|null} monthlyFlows - [дополнительный взнос за месяц]
+     * @returns {Object} { value, contributed }
+     */
+    calculateAssetMonth(value, asset, portfolio, share, returnRate, year, month, monthlyFlows = null) {
+        const scheduled = (schedule, scheduleShare) => {
+            if (!schedule || (schedule.frequency === 'annual' && month !== 12)) {
+                return 0;
+            }
+            return this.getContributionAmount(schedule, year) * scheduleShare;
+        };
+
+        const grownValue = value * Math.pow(1 + returnRate / 100, 1 / 12);
+        let contributed = scheduled(asset.contribution, 1) + scheduled(portfolio.contribution, share || 0) + (monthlyFlows?.[0] || 0);
+        let nextValue = grownValue + contributed;
+
+        // Изъятия не могут превышать стоимость актива
+        if (nextValue < 0) {
+            contributed -= nextValue;
+            nextValue = 0;
+        }
+
+        return { value: nextValue, contributed };
+    }
+
+    /**
+     * Расчет одного года для актива: рост стоимости плюс взносы/изъятия по графикам
+     * @param {number} value - Стоимость актива на начало года
+     * @param {Object} asset - Актив (с собственным графиком взносов)
+     * @param {Object} portfolio - Портфель (с общим графиком взносов)
+     * @param {number} share - Доля актива в общих взносах портфеля (0..1)
+     * @param {number} returnRate - Годовая доходность в процентах
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {Array|null} monthlyFlows - Дополнительные взносы по 12 месяцам года
+     * @returns {Object} { value, contributed } - стоимость на конец года и сумма взносов за год
+     */
+    calculateAssetYear(value, asset, portfolio, share, returnRate, year, monthlyFlows = null) {
+        const own = this.calculateContributionFlow(asset.contribution, year, returnRate);
+        const common = this.calculateContributionFlow(portfolio.contribution, year, returnRate, share || 0);
+        const extra = this.calculateBudgetFlow(monthlyFlows, returnRate);
+
+        const grownValue = value * (1 + returnRate / 100);
+        let contributed = own.contributed + common.contributed + extra.contributed;
+        let nextValue = grownValue + own.futureValue + common.futureValue + extra.futureValue;
+
+        // Изъятия не могут превышать стоимость актива
+        if (nextValue < 0) {
+            contributed -= nextValue;
+            nextValue = 0;
+        }
+
+        return { value: nextValue, contributed };
+    }
+
+    /**
+     * Сумма одного взноса по графику в заданный год (с учетом индексации)
+     * @param {Object} schedule - График { amount, frequency, startYear, endYear, indexation }
+     * @param {number} year - Год проекции (начиная с 1)
+     * @returns {number} Размер взноса (отрицательный для изъятий), 0 если график не активен
+     */
+    getContributionAmount(schedule, year) {
+        if (!schedule || !schedule.amount) {
+            return 0;
+        }
+
+        const startYear = schedule.startYear || 1;
+        const endYear = schedule.endYear || Infinity;
+        if (year < startYear || year > endYear) {
+            return 0;
+        }
+
+        const indexation = (schedule.indexation || 0) / 100;
+        return schedule.amount * Math.pow(1 + indexation, year - startYear);
+    }
+
+    /**
+     * Взносы по графику за год и их стоимость на конец года
+     * Ежемесячные взносы вносятся в конце каждого месяца, ежегодные - в конце года
+     * @param {Object} schedule - График взносов
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} returnRate - Годовая доходность в процентах
+     * @param {number} share - Доля графика, приходящаяся на актив
+     * @returns {Object} { contributed, futureValue }
+     */
+    calculateContributionFlow(schedule, year, returnRate, share = 1) {
+        const amount = this.getContributionAmount(schedule, year) * share;
+        if (amount === 0) {
+            return { contributed: 0, futureValue: 0 };
+        }
+
+        if (schedule.frequency === 'annual') {
+            return { contributed: amount, futureValue: amount };
+        }
+
+        const monthlyGrowth = Math.pow(1 + returnRate / 100, 1 / 12);
+        let futureValue = 0;
+        for (let month = 1; month <= 12; month++) {
+            futureValue += amount * Math.pow(monthlyGrowth, 12 - month);
+        }
+
+        return { contributed: amount * 12, futureValue };
+    }
+
+    /**
+     * Стоимость помесячных дополнительных взносов (бюджет, взнос под цель) на конец года
+     * @param {Array|null} flows - Взносы по 12 месяцам года
+     * @param {number} returnRate - Годовая доходность в процентах
+     * @returns {Object} { contributed, futureValue }
+     */
+    calculateBudgetFlow(flows, returnRate) {
+        if (!flows) {
+            return { contributed: 0, futureValue: 0 };
+        }
+
+        const monthlyGrowth = Math.pow(1 + returnRate / 100, 1 / 12);
+        return flows.reduce((result, amount, index) => ({
+            contributed: result.contributed + amount,
+            futureValue: result.futureValue + amount * Math.pow(monthlyGrowth, flows.length - 1 - index)
+        }), { contributed: 0, futureValue: 0 });
+    }
+
+    /**
+     * Сумма двух наборов помесячных взносов шага
+     * @param {Array|null} first - Взносы по месяцам
+     * @param {Array|null} second - Взносы по месяцам
+     * @returns {Array|null} Поэлементная сумма (null, если взносов нет)
+     */
+    addMonthlyFlows(first, second) {
+        if (!first || !second) {
+            return first || second;
+        }
+        return first.map((amount, index) => amount + (second[index] || 0));
+    }
+
+    /**
+     * Доли активов в общих взносах портфеля (пропорционально текущей стоимости)
+     * @param {Array} assets - Массив активов
+     * @returns {Map} Доля каждого актива (0..1)
+     */
+    getContributionShares(assets) {
+        const shares = new Map();
+        const totalValue = assets.reduce((sum, asset) => sum + (asset.value || 0), 0);
+
+        assets.forEach(asset => {
+            // Пустой портфель - распределяем взносы поровну
+            const share = totalValue > 0 ? (asset.value || 0) / totalValue : 1 / assets.length;
+            shares.set(asset, share);
+        });
+
+        return shares;
+    }
+
+    // === РЕБАЛАНСИРОВКА ===
+
+    /**
+     * План ребалансировки портфеля
+     * portfolio.rebalancing: { policy: 'none' | 'yearly' | 'quarterly' | 'threshold', band, target, allocation }
+     * target - 'current' (стартовые доли), 'custom' (allocation) или ID профиля из AssetClasses.riskProfiles
+     * @param {Object} portfolio - Портфель
+     * @returns {Object|null} { policy, band, target: { [assetType]: доля 0-1 } } или null без ребалансировки
+     */
+    getRebalancingPlan(portfolio) {
+        const settings = portfolio.rebalancing;
+        if (!settings || !settings.policy || settings.policy === 'none') return null;
+
+        const target = this.getTargetAllocation(portfolio);
+        if (!target) return null;
+
+        return { policy: settings.policy, band: (settings.band || 5) / 100, target };
+    }
+
+    /**
+     * Целевое распределение по типам активов, нормированное на типы, которые есть в портфеле
+     * @param {Object} portfolio - Портфель
+     * @returns {Object|null} { [assetType]: доля 0-1 } или null, если распределение пустое
+     */
+    getTargetAllocation(portfolio) {
+        const settings = portfolio.rebalancing || {};
+        const assetsByType = this.groupAssetsByType(portfolio.assets || []);
+        let allocation;
+
+        if (settings.target === 'custom') {
+            allocation = settings.allocation || {};
+        } else if (settings.target && settings.target !== 'current') {
+            allocation = window.assetClasses?.getRiskProfile(settings.target)?.allocation || {};
+        } else {
+            allocation = {};
+            Object.entries(assetsByType).forEach(([assetType, assets]) => {
+                allocation[assetType] = assets.reduce((sum, asset) => sum + (asset.value || 0), 0);
+            });
+        }
+
+        const total = Object.keys(assetsByType).reduce((sum, assetType) => sum + (allocation[assetType] || 0), 0);
+        if (total <= 0) return null;
+
+        const target = {};
+        Object.keys(assetsByType).forEach(assetType => {
+            target[assetType] = (allocation[assetType] || 0) / total;
+        });
+        return target;
+    }
+
+    /**
+     * Нужна ли ребалансировка на конце шага
+     * Квартальная в годовом режиме выполняется раз в год - чаще шаг расчета не позволяет
+     * @param {Object} plan - План ребалансировки
+     * @param {Map} assetValues - Текущая стоимость активов
+     * @param {number} period - Номер шага внутри года
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {boolean}
+     */
+    isRebalanceDue(plan, assetValues, period, periodsPerYear) {
+        if (plan.policy === 'yearly') return period === periodsPerYear;
+        if (plan.policy === 'quarterly') return periodsPerYear === 1 || period % 3 === 0;
+        if (plan.policy !== 'threshold') return false;
+
+        const weights = this.calculateTypeWeights(assetValues);
+        return Object.keys(plan.target).some(assetType =>
+            Math.abs((weights[assetType] || 0) - plan.target[assetType]) > plan.band);
+    }
+
+    /**
+     * Текущие доли типов активов
+     * @param {Map} assetValues - Стоимость активов
+     * @returns {Object} { [assetType]: доля 0-1 }
+     */
+    calculateTypeWeights(assetValues) {
+        const totals = {};
+        let total = 0;
+        assetValues.forEach((value, asset) => {
+            totals[asset.type] = (totals[asset.type] || 0) + value;
+            total += value;
+        });
+
+        const weights = {};
+        Object.entries(totals).forEach(([assetType, value]) => {
+            weights[assetType] = total > 0 ? value / total : 0;
+        });
+        return weights;
+    }
+
+    /**
+     * Ребалансировка к целевым долям: внутри типа стоимость делится пропорционально активам
+     * (поровну, если все активы типа обнулились). Комиссия брокера удерживается с суммы сделки.
+     * @param {Map} assetValues - Стоимость активов (изменяется на месте)
+     * @param {Object} target - Целевые доли по типам
+     * @returns {Object} { turnover, fees, deltas: Map(asset -> { before, amount, fee }) }
+     */
+    rebalanceAssets(assetValues, target) {
+        let total = 0;
+        const typeTotals = {};
+        const typeCounts = {};
+        assetValues.forEach((value, asset) => {
+            total += value;
+            typeTotals[asset.type] = (typeTotals[asset.type] || 0) + value;
+            typeCounts[asset.type] = (typeCounts[asset.type] || 0) + 1;
+        });
+
+        const deltas = new Map();
+        let turnover = 0;
+        let fees = 0;
+        if (total <= 0) return { turnover, fees, deltas };
+
+        assetValues.forEach((value, asset) => {
+            const typeTarget = total * (target[asset.type] || 0);
+            const desired = typeTotals[asset.type] > 0
+                ? typeTarget * value / typeTotals[asset.type]
+                : typeTarget / typeCounts[asset.type];
+            const amount = desired - value;
+            const fee = Math.min(desired, Math.abs(amount) * (asset.fees?.commission || 0) / 100);
+
+            assetValues.set(asset, desired - fee);
+            deltas.set(asset, { before: value, amount, fee });
+            turnover += Math.abs(amount);
+            fees += fee;
+        });
+
+        // Оборот - объем продаж (равен объему покупок)
+        return { turnover: turnover / 2, fees, deltas };
+    }
+
+    /**
+     * Доли типов активов в точке проекции (в процентах)
+     * @param {Object} point - Точка проекции с breakdown и nominal
+     * @returns {Object} { [assetType]: % }
+     */
+    calculateAllocation(point) {
+        const allocation = {};
+        Object.entries(point.breakdown).forEach(([assetType, value]) => {
+            allocation[assetType] = point.nominal > 0 ? (value / point.nominal) * 100 : 0;
+        });
+        return allocation;
+    }
+
+    /**
+     * Стоимость каждого актива в точке проекции (для детальных проекций)
+     * @param {Array} assets - Активы
+     * @param {Map} assetValues - Стоимость активов
+     * @param {Map} assetTotals - Накопленные взносы и комиссии по активам
+     * @param {number} time - Время от начала проекции в годах
+     * @param {Object} path - Траектория сценария
+     * @returns {Object} { [assetId]: { nominal, real, totalContributions, totalFees } }
+     */
+    buildAssetPoints(assets, assetValues, assetTotals, time, path) {
+        const points = {};
+        assets.forEach((asset, index) => {
+            const value = assetValues.get(asset);
+            points[asset.id || `asset_${index}`] = {
+                nominal: value,
+                real: value / this.getPriceIndex(path, time),
+                totalContributions: assetTotals.get(asset).contributions,
+                totalFees: assetTotals.get(asset).fees
+            };
+        });
+        return points;
+    }
+
+    /**
+     * Стоимость активов, участвующих в ребалансировке
+     * Активы, приобретенные по жизненным событиям (квартира, машина), не продаются
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @returns {Map} Та же карта, если таких активов нет, иначе ее копия без них
+     */
+    getTradableValues(assetValues) {
+        const tradable = [...assetValues].filter(([asset]) => !asset.fromEvent);
+        return tradable.length === assetValues.size ? assetValues : new Map(tradable);
+    }
+
+    // === КОНЕЦ РЕБАЛАНСИРОВКИ ===
+
+    // === НАЛОГИ ===
+
+    /**
+     * Начальное налоговое состояние портфеля
+     * Каждый актив хранится партиями (начальная стоимость и каждый взнос): у партии своя
+     * стоимость, налоговая база (цена покупки) и год покупки - это нужно для ЛДВ и срока ИИС
+     * @param {Array} assets - Активы портфеля
+     * @returns {Object} Состояние для applyTaxPeriod / settleTaxYear
+     */
+    createTaxState(assets) {
+        const state = {
+            assets: new Map(),
+            yearTaxes: 0,
+            totalTaxes: 0,
+            totalDeductions: 0
+        };
+
+        assets.forEach(asset => {
+            const value = asset.value || 0;
+            state.assets.set(asset, {
+                lots: [{ year: -(asset.tax?.holdingYears || 0), cost: value, value }],
+                income: 0, // Облагаемые выплаты (дивиденды, купоны) за текущий год
+                depositIncome: 0, // Проценты по вкладам за текущий год
+                gains: 0, // Облагаемая прибыль от изъятий за текущий год
+                deductible: 0 // Взносы на ИИС за текущий год (для вычета)
+            });
+        });
+
+        return state;
+    }
+
+    /**
+     * Налоговый учет одного шага расчета для актива
+     * Партии растут с той же доходностью, что и доналоговая стоимость. Выплаты на брокерском
+     * счете попадают в базу года и реинвестируются (увеличивают цену покупки), взносы
+     * открывают новую партию, изъятия продают все партии пропорционально и фиксируют прибыль.
+     * @param {Object} state - Налоговое состояние
+     * @param {Object} asset - Актив
+     * @param {number} previousValue - Доналоговая стоимость на начало шага
+     * @param {Object} step - Результат calculateAssetPeriod ({ value, contributed })
+     * @param {number} returnRate - Годовая доходность в процентах
+     * @param {number} year - Год проекции
+     * @param {number} periodsPerYear - Количество шагов в году
+     */
+    applyTaxPeriod(state, asset, previousValue, step, returnRate, year, periodsPerYear) {
+        const entry = state.assets.get(asset);
+        const account = window.taxRules.getAccountInfo(asset.type === 'realty' ? 'regular' : asset.tax?.account);
+        const growth = Math.pow(1 + returnRate / 100, 1 / periodsPerYear);
+
+        // Рост и выплаты
+        const lotsValue = entry.lots.reduce((sum, lot) => sum + lot.value, 0);
+        const growthAmount = Math.max(0, lotsValue * (growth - 1));
+        const incomeYield = window.taxRules.getIncomeYield(asset);
+        const income = incomeYield === null
+            ? growthAmount
+            : Math.min(lotsValue * incomeYield / 100 / periodsPerYear, growthAmount);
+
+        entry.lots.forEach(lot => {
+            // Реинвестированные выплаты брокерского счета уже обложены - увеличиваем цену покупки
+            if (account.yearlyTax && lotsValue > 0) {
+                lot.cost += income * lot.value / lotsValue;
+            }
+            lot.value *= growth;
+        });
+
+        if (account.yearlyTax && income > 0) {
+            if (window.taxRules.getIncomeProfile(asset.type).incomeType === 'deposit') {
+                entry.depositIncome += income;
+            } else {
+                entry.income += income;
+            }
+        }
+
+        // Взносы и изъятия: поток с учетом роста внутри шага
+        const flow = step.value + step.fees - previousValue * growth;
+
+        if (step.contributed > 0) {
+            entry.lots.push({ year, cost: step.contributed, value: Math.max(0, flow) });
+            if (account.deductionLimit > 0) {
+                entry.deductible += step.contributed;
+            }
+        } else if (flow < 0) {
+            const currentValue = entry.lots.reduce((sum, lot) => sum + lot.value, 0);
+            this.sellLots(entry, asset, currentValue > 0 ? -flow / currentValue : 0, year);
+        }
+
+        // Комиссии уменьшают стоимость партий в той же доле, что и доналоговую стоимость, но не цену покупки
+        const feeShare = step.value + step.fees > 0 ? step.fees / (step.value + step.fees) : 0;
+        entry.lots.forEach(lot => { lot.value *= 1 - feeShare; });
+    }
+
+    /**
+     * Продажа доли всех партий актива с фиксацией облагаемой прибыли
+     * @param {Object} entry - Налоговое состояние актива
+     * @param {Object} asset - Актив
+     * @param {number} fraction - Продаваемая доля (0-1)
+     * @param {number} year - Год проекции
+     * @returns {number} Выручка от продажи (по стоимости партий)
+     */
+    sellLots(entry, asset, fraction, year) {
+        const share = Math.max(0, Math.min(1, fraction));
+        const soldLots = entry.lots.map(lot => ({ ...lot, cost: lot.cost * share, value: lot.value * share }));
+
+        entry.gains += this.calculateTaxableGain(asset, soldLots, year);
+        entry.lots.forEach(lot => {
+            lot.cost *= 1 - share;
+            lot.value *= 1 - share;
+        });
+
+        return soldLots.reduce((sum, lot) => sum + lot.value, 0);
+    }
+
+    /**
+     * Налоговый учет ребалансировки: проданные доли фиксируют прибыль,
+     * выручка покупает новые партии докупаемых активов
+     * @param {Object} state - Налоговое состояние
+     * @param {Map} deltas - Сделки по активам из rebalanceAssets
+     * @param {number} year - Год проекции
+     */
+    applyTaxRebalance(state, deltas, year) {
+        let proceeds = 0;
+        let bought = 0;
+
+        deltas.forEach((delta, asset) => {
+            if (delta.amount < 0 && delta.before > 0) {
+                proceeds += this.sellLots(state.assets.get(asset), asset, -delta.amount / delta.before, year);
+            } else if (delta.amount > 0) {
+                bought += delta.amount;
+            }
+        });
+
+        deltas.forEach((delta, asset) => {
+            const entry = state.assets.get(asset);
+            if (delta.amount > 0 && bought > 0) {
+                const amount = proceeds * delta.amount / bought;
+                entry.lots.push({ year, cost: amount, value: amount });
+            }
+
+            // Комиссия за сделку уменьшает стоимость партий в той же доле
+            const after = delta.before + delta.amount;
+            if (delta.fee > 0 && after > 0) {
+                entry.lots.forEach(lot => { lot.value *= Math.max(0, 1 - delta.fee / after); });
+            }
+        });
+    }
+
+    /**
+     * Закрытие налогового года: НДФЛ с выплат и прибыли, вычеты по ИИС
+     * Налог удерживается из активов, которые его породили; вычет реинвестируется
+     * в ИИС пропорционально взносам. Возврат вычетов при досрочном закрытии ИИС не моделируется.
+     * @param {Object} state - Налоговое состояние
+     * @param {number} year - Год проекции
+     * @param {Object} settings - Настройки расчета
+     */
+    settleTaxYear(state, year, settings) {
+        const taxSettings = settings.tax || {};
+        const entries = Array.from(state.assets.values());
+
+        const depositIncome = entries.reduce((sum, entry) => sum + entry.depositIncome, 0);
+        const depositTaxable = Math.max(0, depositIncome - window.taxRules.getDepositExemption(taxSettings));
+        const depositShare = depositIncome > 0 ? depositTaxable / depositIncome : 0;
+
+        const entryBase = (entry) => entry.income + Math.max(0, entry.gains) + entry.depositIncome * depositShare;
+        const base = entries.reduce((sum, entry) => sum + entryBase(entry), 0);
+        const tax = window.taxRules.calculateNdfl(base, taxSettings);
+
+        entries.forEach(entry => {
+            const entryTax = base > 0 ? tax * entryBase(entry) / base : 0;
+            this.reduceLots(entry, entryTax);
+        });
+
+        // Вычет на взносы: общий лимит на человека по всем ИИС с вычетом
+        const deductible = entries.reduce((sum, entry) => sum + entry.deductible, 0);
+        const deductionLimit = window.taxRules.getAccountInfo('iis_a').deductionLimit;
+        const refund = Math.min(deductible, deductionLimit) * (taxSettings.rate ?? window.taxRules.ndfl.rate) / 100;
+
+        entries.forEach(entry => {
+            if (refund > 0 && entry.deductible > 0) {
+                const amount = refund * entry.deductible / deductible;
+                entry.lots.push({ year, cost: amount, value: amount });
+            }
+            entry.income = 0;
+            entry.depositIncome = 0;
+            entry.gains = 0;
+            entry.deductible = 0;
+        });
+
+        state.yearTaxes = tax;
+        state.totalTaxes += tax;
+        state.totalDeductions += refund;
+    }
+
+    /**
+     * Продажа части партий на заданную сумму (для уплаты налога)
+     * @param {Object} entry - Налоговое состояние актива
+     * @param {number} amount - Сумма к продаже
+     */
+    reduceLots(entry, amount) {
+        const lotsValue = entry.lots.reduce((sum, lot) => sum + lot.value, 0);
+        if (amount <= 0 || lotsValue <= 0) return;
+
+        const keep = Math.max(0, 1 - amount / lotsValue);
+        entry.lots.forEach(lot => {
+            lot.cost *= keep;
+            lot.value *= keep;
+        });
+    }
+
+    /**
+     * Облагаемая прибыль при продаже партий с учетом типа счета, ЛДВ и льгот ИИС
+     * @param {Object} asset - Актив
+     * @param {Array} lots - Продаваемые партии { year, cost, value }
+     * @param {number} time - Момент продажи в годах от начала проекции
+     * @returns {number} Облагаемая прибыль (убыток по одним партиям уменьшает прибыль по другим)
+     */
+    calculateTaxableGain(asset, lots, time) {
+        const rules = window.taxRules;
+
+        // Недвижимость: прибыль освобождается после минимального срока владения
+        if (asset.type === 'realty') {
+            return Math.max(0, lots.reduce((sum, lot) => {
+                const held = time - lot.year;
+                return held >= rules.realtyMinYears ? sum : sum + lot.value - lot.cost;
+            }, 0));
+        }
+
+        const account = rules.getAccountInfo(asset.tax?.account);
+        const totalGain = lots.reduce((sum, lot) => sum + lot.value - lot.cost, 0);
+
+        if (account.incomeExempt) {
+            // Срок ИИС считается от самой ранней партии
+            const accountAge = time - Math.min(...lots.map(lot => lot.year), time);
+            return accountAge >= account.minYears ? Math.max(0, totalGain - account.exemptLimit) : Math.max(0, totalGain);
+        }
+
+        if (!account.ldv) {
+            return Math.max(0, totalGain);
+        }
+
+        return Math.max(0, lots.reduce((sum, lot) => {
+            const gain = lot.value - lot.cost;
+            return sum + (gain > 0 ? Math.max(0, gain - rules.getLdvExemption(time - lot.year)) : gain);
+        }, 0));
+    }
+
+    /**
+     * Стоимость после налогов: портфель после уплаченных налогов и налога при продаже всех активов
+     * @param {Object} state - Налоговое состояние
+     * @param {Object} point - Доналоговая точка проекции (для обязательств и денежного счета)
+     * @param {number} time - Время от начала проекции в годах
+     * @param {Object} path - Траектория сценария (для реальных значений)
+     * @param {Object} settings - Настройки расчета
+     * @returns {Object} { nominal, netWorth, real, liquidationTax }
+     */
+    buildAfterTaxPoint(state, point, time, path, settings) {
+        let value = 0;
+        let taxableGain = 0;
+
+        state.assets.forEach((entry, asset) => {
+            value += entry.lots.reduce((sum, lot) => sum + lot.value, 0);
+            taxableGain += this.calculateTaxableGain(asset, entry.lots, time);
+        });
+
+        const liquidationTax = window.taxRules.calculateNdfl(taxableGain, settings.tax);
+        const nominal = value - liquidationTax;
+        const netWorth = nominal + (point.cash || 0) - point.liabilities;
+
+        return {
+            nominal,
+            netWorth,
+            real: netWorth / this.getPriceIndex(path, time),
+            liquidationTax
+        };
+    }
+
+    // === КОНЕЦ НАЛОГОВ ===
+
+    // === БЮДЖЕТ ===
+
+    /**
+     * Семейный бюджет портфеля, если он включен
+     * При включенном бюджете профицит заменяет общий график взносов портфеля
+     * @param {Object} portfolio - Портфель
+     * @returns {Object|null} Бюджет { salary, bonuses, expenses }
+     */
+    getBudget(portfolio) {
+        return portfolio.budget?.enabled ? portfolio.budget : null;
+    }
+
+    /**
+     * Кредиты портфеля на сегодня: уже выданные считаются от текущего остатка на оставшийся срок
+     * @param {Object} portfolio - Портфель
+     * @returns {Array} Обязательства, начинающиеся с первого месяца проекции
+     */
+    getCurrentLiabilities(portfolio) {
+        const liabilities = portfolio.liabilities || [];
+        return window.liabilityClasses
+            ? liabilities.map(liability => window.liabilityClasses.getOutstandingLoan(liability))
+            : liabilities;
+    }
+
+    /**
+     * Платежи по кредитам за месяц проекции (аннуитет из LiabilityClasses)
+     * Кредит жизненного события платится со следующего месяца после даты события.
+     * Дифференцированные платежи и досрочные погашения берутся из помесячного графика
+     * @param {Array} liabilities - Обязательства
+     * @param {number} monthIndex - Номер месяца проекции (начиная с 1)
+     * @returns {number} Сумма платежей
+     */
+    calculateLoanPayments(liabilities, monthIndex) {
+        if (!window.liabilityClasses) return 0;
+
+        return liabilities.reduce((sum, liability) => {
+            const paidMonth = monthIndex - Math.ceil((liability.startTime || 0) * 12);
+            if (paidMonth < 1 || paidMonth > window.liabilityClasses.getTermMonths(liability)) {
+                return sum;
+            }
+            if (window.liabilityClasses.needsSchedule(liability)) {
+                const row = window.liabilityClasses.buildSchedule(liability).rows[paidMonth - 1];
+                return sum + (row ? row.payment + row.prepayment : 0);
+            }
+            return sum + window.liabilityClasses.calculateMonthlyPayment(
+                liability.principal || 0, liability.rate || 0, liability.termYears || 0
+            );
+        }, 0);
+    }
+
+    /**
+     * Доходы, расходы и профицит бюджета за месяц проекции
+     * Зарплата и премии индексируются раз в год на рост дохода; расходы - на собственную
+     * инфляцию статьи или, если она не задана, на инфляцию сценария
+     * @param {Object} budget - Бюджет
+     * @param {Array} liabilities - Обязательства (для платежей по кредитам)
+     * @param {Object} path - Траектория сценария (индекс цен)
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} month - Месяц (1-12)
+     * @returns {Object} { income, expenses, loanPayments, surplus }
+     */
+    calculateBudgetMonth(budget, liabilities, path, year, month) {
+        const incomeIndex = Math.pow(1 + (budget.salary?.growth || 0) / 100, year - 1);
+        const bonuses = (budget.bonuses || [])
+            .filter(bonus => (bonus.month || 12) === month)
+            .reduce((sum, bonus) => sum + (bonus.amount || 0), 0);
+        const income = ((budget.salary?.amount || 0) + bonuses) * incomeIndex;
+
+        const expenses = (budget.expenses || []).reduce((sum, expense) => {
+            const priceIndex = typeof expense.inflation === 'number'
+                ? Math.pow(1 + expense.inflation / 100, year - 1)
+                : path.priceIndex[year - 1];
+            return sum + (expense.amount || 0) * priceIndex;
+        }, 0);
+
+        const loanPayments = this.calculateLoanPayments(liabilities, (year - 1) * 12 + month);
+
+        return { income, expenses, loanPayments, surplus: income - expenses - loanPayments };
+    }
+
+    /**
+     * Бюджет за шаг расчета
+     * @param {Object} budget - Бюджет
+     * @param {Array} liabilities - Обязательства
+     * @param {Object} path - Траектория сценария
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} period - Номер шага внутри года
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {Object} { income, expenses, loanPayments, surplus, flows: профицит по месяцам шага }
+     */
+    calculateBudgetStep(budget, liabilities, path, year, period, periodsPerYear) {
+        const months = periodsPerYear === 1 ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [period];
+        const step = { income: 0, expenses: 0, loanPayments: 0, surplus: 0, flows: [] };
+
+        months.forEach(month => {
+            const result = this.calculateBudgetMonth(budget, liabilities, path, year, month);
+            step.income += result.income;
+            step.expenses += result.expenses;
+            step.loanPayments += result.loanPayments;
+            step.surplus += result.surplus;
+            step.flows.push(result.surplus);
+        });
+
+        return step;
+    }
+
+    /**
+     * Доли активов в профиците бюджета - по целевому распределению портфеля
+     * (ребалансировки, а без нее - текущему). Внутри типа профицит делится
+     * пропорционально стоимости активов, поровну - если они пусты
+     * @param {Object} portfolio - Портфель
+     * @returns {Map} Актив → доля (0..1)
+     */
+    getBudgetShares(portfolio) {
+        const assets = portfolio.assets || [];
+        const target = this.getTargetAllocation(portfolio);
+        if (!target) {
+            return this.getContributionShares(assets);
+        }
+
+        const shares = new Map();
+        Object.entries(this.groupAssetsByType(assets)).forEach(([assetType, typeAssets]) => {
+            const typeShares = this.getContributionShares(typeAssets);
+            typeAssets.forEach(asset => shares.set(asset, (target[assetType] || 0) * typeShares.get(asset)));
+        });
+        return shares;
+    }
+
+    /**
+     * Сумма итогов бюджета (для годовой строки)
+     * @param {Object} total - Накопленные итоги { income, expenses, loanPayments, surplus }
+     * @param {Object} step - Итоги шага
+     */
+    addBudgetTotals(total, step) {
+        total.income += step.income;
+        total.expenses += step.expenses;
+        total.loanPayments += step.loanPayments;
+        total.surplus += step.surplus;
+    }
+
+    // === КОНЕЦ БЮДЖЕТА ===
+
+    // === ДЕНЕЖНЫЙ СЧЕТ ===
+    // Свободный доход (или доходы минус расходы бюджета) зачисляется на счет; взносы в активы,
+    // платежи по кредитам и события «из всего портфеля» списываются с него. Остаток счета
+    // входит в чистую стоимость и дохода не приносит. Ушедший в минус счет пополняется продажей
+    // активов в заданном порядке или остается в минусе как дефицит
+
+    /**
+     * Денежный счет портфеля
+     * @param {Object} portfolio - Портфель
+     * @returns {Object|null} { balance, monthlyIncome, incomeGrowth, onDeficit, sellOrder } или null, если счет выключен
+     */
+    getCashAccount(portfolio) {
+        return portfolio.cashAccount?.enabled ? portfolio.cashAccount : null;
+    }
+
+    /**
+     * Состояние денежного счета в проекции
+     * @param {Object} plan - Денежный счет
+     * @returns {Object} { balance, deficitTime: когда счет впервые ушел в минус, year: движение за текущий год }
+     */
+    createCashState(plan) {
+        return { balance: plan.balance || 0, deficitTime: null, year: null };
+    }
+
+    /**
+     * Начало года: обнуляем движение денег за год
+     * @param {Object} state - Состояние счета
+     */
+    startCashYear(state) {
+        state.year = { opening: state.balance, income: 0, rent: 0, contributions: 0, loanPayments: 0, events: 0, sales: 0 };
+    }
+
+    /**
+     * Свободный доход за месяцы шага (без бюджета), индексируется раз в год
+     * @param {Object} plan - Денежный счет
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {number} Доход за шаг
+     */
+    getCashIncome(plan, year, periodsPerYear) {
+        const monthlyIncome = (plan.monthlyIncome || 0) * Math.pow(1 + (plan.incomeGrowth || 0) / 100, year - 1);
+        return monthlyIncome * 12 / periodsPerYear;
+    }
+
+    /**
+     * Платежи по кредитам за месяцы шага
+     * @param {Array} liabilities - Обязательства
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} period - Номер шага внутри года
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {number} Сумма платежей
+     */
+    calculateStepLoanPayments(liabilities, year, period, periodsPerYear) {
+        const months = periodsPerYear === 1 ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [period];
+        return months.reduce((sum, month) => sum + this.calculateLoanPayments(liabilities, (year - 1) * 12 + month), 0);
+    }
+
+    /**
+     * Движение денег за шаг и покрытие дефицита
+     * @param {Object} state - Состояние счета
+     * @param {Object} plan - Денежный счет
+     * @param {Object} flows - { income, rent: чистая аренда, contributions: чистые взносы в активы, loanPayments }
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @param {Object|null} taxState - Налоговое состояние (НДФЛ с продаж)
+     * @param {number} year - Год проекции
+     * @param {number} time - Время конца шага в годах
+     */
+    applyCashStep(state, plan, flows, assetValues, taxState, year, time) {
+        state.balance += flows.income + (flows.rent || 0) - flows.contributions - flows.loanPayments;
+        state.year.income += flows.income;
+        state.year.rent += flows.rent || 0;
+        state.year.contributions += flows.contributions;
+        state.year.loanPayments += flows.loanPayments;
+
+        if (state.balance < -0.005 && plan.onDeficit === 'sell') {
+            const sold = this.sellAssetsForCash(assetValues, -state.balance, plan.sellOrder, taxState, year);
+            state.balance += sold;
+            state.year.sales += sold;
+        }
+
+        if (state.balance < -0.005 && state.deficitTime === null) {
+            state.deficitTime = time;
+        }
+    }
+
+    /**
+     * Продажа активов для покрытия дефицита счета: по типам в порядке sellOrder,
+     * внутри типа - пропорционально стоимости; типы вне списка продаются последними
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @param {number} amount - Недостающая сумма
+     * @param {Array} sellOrder - Типы активов в порядке продажи
+     * @param {Object|null} taxState - Налоговое состояние
+     * @param {number} year - Год проекции
+     * @returns {number} Вырученная сумма (меньше amount, если активы кончились)
+     */
+    sellAssetsForCash(assetValues, amount, sellOrder, taxState, year) {
+        const liquid = [...assetValues.keys()].filter(asset => !asset.fromEvent);
+        const types = [...(sellOrder || []), ...liquid.map(asset => asset.type)]
+            .filter((type, index, list) => list.indexOf(type) === index);
+        let sold = 0;
+
+        types.forEach(type => {
+            const ids = liquid.filter(asset => asset.type === type).map(asset => asset.id);
+            if (amount - sold <= 0.005 || ids.length === 0) return;
+            sold += this.withdrawFromAssets(assetValues, amount - sold, ids, taxState, year, true);
+        });
+
+        return sold;
+    }
+
+    /**
+     * Движение денег за год для годовой строки
+     * @param {Object} state - Состояние счета
+     * @returns {Object} { opening, income, rent, contributions, loanPayments, events, sales, closing, deficit }
+     */
+    buildCashStatement(state) {
+        return {
+            ...state.year,
+            closing: state.balance,
+            deficit: Math.max(0, -state.balance)
+        };
+    }
+
+    // === КОНЕЦ ДЕНЕЖНОГО СЧЕТА ===
+
+    // === АРЕНДА НЕДВИЖИМОСТИ ===
+    // Недвижимость приносит арендный доход и несет расходы владения. Чистая аренда поступает
+    // на денежный счет, а без него - распределяется по портфелю (убыток изымается из портфеля).
+    // Стоимость самого объекта растет только на доходность класса
+
+    /**
+     * Параметры аренды и владения объектом недвижимости
+     * @param {Object} asset - Актив
+     * @returns {Object|null} { monthlyRent, rentGrowth, vacancy, propertyTax, maintenance, insurance, management, liabilityId }
+     */
+    getRental(asset) {
+        return asset.type === 'realty' && asset.rental ? asset.rental : null;
+    }
+
+    /**
+     * Аренда и расходы владения за шаг
+     * Аренда индексируется раз в год на свой рост или, если он не задан, на инфляцию сценария;
+     * страховка - на инфляцию. Налог на имущество и обслуживание - процент от стоимости на начало шага
+     * @param {Object} rental - Параметры аренды
+     * @param {number} value - Стоимость объекта на начало шага
+     * @param {Object} path - Траектория сценария (индекс цен)
+     * @param {number} year - Год проекции (начиная с 1)
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {Object} { grossRent, vacancy, management, propertyTax, maintenance, insurance, netRent }
+     */
+    calculateRentalStep(rental, value, path, year, periodsPerYear) {
+        const priceIndex = this.getPriceIndex(path, year - 1);
+        const rentIndex = rental.rentGrowth === null || rental.rentGrowth === undefined
+            ? priceIndex
+            : Math.pow(1 + rental.rentGrowth / 100, year - 1);
+
+        const grossRent = (rental.monthlyRent || 0) * rentIndex * 12 / periodsPerYear;
+        const vacancy = grossRent * (rental.vacancy || 0) / 100;
+        const management = (grossRent - vacancy) * (rental.management || 0) / 100;
+        const propertyTax = value * (rental.propertyTax || 0) / 100 / periodsPerYear;
+        const maintenance = value * (rental.maintenance || 0) / 100 / periodsPerYear;
+        const insurance = (rental.insurance || 0) * priceIndex / periodsPerYear;
+
+        return {
+            grossRent,
+            vacancy,
+            management,
+            propertyTax,
+            maintenance,
+            insurance,
+            netRent: grossRent - vacancy - management - propertyTax - maintenance - insurance
+        };
+    }
+
+    /**
+     * Итоги аренды за год по объекту
+     * @param {number} startValue - Стоимость объекта на начало года
+     * @returns {Object} Нулевые итоги { startValue, value, appreciation, grossRent, ..., netRent }
+     */
+    createRentalTotals(startValue) {
+        return {
+            startValue,
+            value: startValue,
+            appreciation: 0,
+            grossRent: 0,
+            vacancy: 0,
+            management: 0,
+            propertyTax: 0,
+            maintenance: 0,
+            insurance: 0,
+            netRent: 0
+        };
+    }
+
+    /**
+     * Сумма аренды шага в итоги года
+     * @param {Object} total - Итоги года из createRentalTotals
+     * @param {Object} step - Результат calculateRentalStep
+     */
+    addRentalTotals(total, step) {
+        Object.keys(step).forEach(field => { total[field] += step[field]; });
+    }
+
+    /**
+     * Чистая аренда без денежного счета: доход распределяется по финансовым активам портфеля,
+     * убыток изымается из них (недвижимость участвует, только если других активов нет)
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @param {number} amount - Чистая аренда за шаг (может быть отрицательной)
+     * @param {Object|null} taxState - Налоговое состояние
+     * @param {number} year - Год проекции
+     */
+    applyRentalFlow(assetValues, amount, taxState, year) {
+        const financial = [...assetValues.keys()]
+            .filter(asset => !asset.fromEvent && asset.type !== 'realty')
+            .map(asset => asset.id);
+        const assetId = financial.length > 0 ? financial : null;
+
+        if (amount > 0) {
+            this.depositToAssets(assetValues, amount, assetId, taxState, year);
+        } else if (amount < 0) {
+            this.withdrawFromAssets(assetValues, -amount, assetId, taxState, year);
+        }
+    }
+
+    /**
+     * Доходность объектов недвижимости по сценариям
+     * Полная доходность года = (рост стоимости + чистая аренда) / стоимость на начало года.
+     * Денежный поток объекта - чистая аренда за вычетом платежей по связанной ипотеке
+     * @param {Object} portfolio - Портфель
+     * @param {Object} scenarios - Сценарии
+     * @param {Object} settings - Настройки расчета
+     * @returns {Object|null} { assets: [{ assetId, name, liabilityId, scenarios: { [id]: { years, netYield,
+     *                        averageNetYield, totalNetRent, totalCashFlow, totalReturn, equity, ltv } } }] }
+     *                        или null, если в портфеле нет недвижимости
+     */
+    calculateRealtyAnalysis(portfolio, scenarios, settings) {
+        const realty = (portfolio.assets || []).filter(asset => this.getRental(asset));
+        if (realty.length === 0) return null;
+
+        const projections = this.calculateProjections(portfolio, scenarios, settings);
+        const liabilities = this.getCurrentLiabilities(portfolio);
+
+        return {
+            assets: realty.map(asset => {
+                const liability = liabilities.find(item => item.id === asset.rental.liabilityId) || null;
+
+                const result = {
+                    assetId: asset.id,
+                    name: asset.name,
+                    liabilityId: liability ? liability.id : null,
+                    scenarios: {}
+                };
+
+                this.getScenarioList(scenarios).forEach(scenario => {
+                    const years = projections[scenario.id]
+                        .filter(row => row.year > 0 && row.rental?.[asset.id])
+                        .map(row => {
+                            const rental = row.rental[asset.id];
+                            const mortgagePayments = liability ? this.calculateStepLoanPayments([liability], row.year, 1, 1) : 0;
+                            const loanBalance = liability ? this.calculateLiabilitiesValue([liability], row.year) : 0;
+
+                            return {
+                                year: row.year,
+                                ...rental,
+                                netYield: rental.startValue > 0 ? rental.netRent / rental.startValue * 100 : 0,
+                                totalReturn: rental.startValue > 0 ? (rental.appreciation + rental.netRent) / rental.startValue * 100 : 0,
+                                mortgagePayments,
+                                cashFlow: rental.netRent - mortgagePayments,
+                                loanBalance,
+                                equity: rental.value - loanBalance,
+                                ltv: rental.value > 0 ? loanBalance / rental.value * 100 : 0
+                            };
+                        });
+
+                    // Среднегодовая полная доходность - геометрическое среднее по годам
+                    const growth = years.reduce((product, item) => product * Math.max(0, 1 + item.totalReturn / 100), 1);
+                    const last = years[years.length - 1];
+
+                    result.scenarios[scenario.id] = {
+                        years,
+                        netYield: years[0]?.netYield || 0,
+                        averageNetYield: years.length > 0 ? years.reduce((sum, item) => sum + item.netYield, 0) / years.length : 0,
+                        totalNetRent: years.reduce((sum, item) => sum + item.netRent, 0),
+                        totalCashFlow: years.reduce((sum, item) => sum + item.cashFlow, 0),
+                        totalReturn: years.length > 0 ? (Math.pow(growth, 1 / years.length) - 1) * 100 : 0,
+                        equity: last ? last.equity : asset.value || 0,
+                        ltv: last ? last.ltv : 0
+                    };
+                });
+
+                return result;
+            })
+        };
+    }
+
+    // === КОНЕЦ АРЕНДЫ НЕДВИЖИМОСТИ ===
+
+    // === ЖИЗНЕННЫЕ СОБЫТИЯ ===
+
+    /**
+     * План жизненных событий проекции (portfolio.events)
+     * Событие применяется в конце шага, на который приходится его дата: в годовом режиме -
+     * в конце года, в помесячном - в конце месяца. Кредит события начисляется с самой даты.
+     * Приобретаемый актив появляется в проекции с нулевой стоимостью и получает сумму события
+     * @param {Object} portfolio - Портфель с событиями
+     * @param {Object} settings - Настройки расчета
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {Object} { assets: приобретаемые активы, liabilities: кредиты событий, steps: Map(номер шага → события) }
+     */
+    prepareLifeEvents(portfolio, settings, periodsPerYear) {
+        const plan = { assets: [], liabilities: [], steps: new Map() };
+
+        (portfolio.events || []).forEach(event => {
+            const time = this.getTimeFromToday(event.date);
+            const amount = Math.abs(event.amount || 0);
+            if (time === null || amount === 0 || time > settings.horizonYears) return;
+
+            const inflow = event.direction === 'inflow';
+            const loan = !inflow && event.funding === 'loan';
+            const acquired = event.acquire && window.assetClasses?.getAssetInfo(event.acquire)
+                ? { ...window.assetClasses.createDefaultAsset(event.acquire, 0), id: event.id, name: event.name, fromEvent: event.id, rental: null }
+                : null;
+
+            if (acquired) {
+                plan.assets.push(acquired);
+            }
+
+            if (loan) {
+                const terms = event.loan || {};
+                plan.liabilities.push({
+                    id: event.id,
+                    type: terms.type || 'consumer',
+                    name: event.name,
+                    principal: amount,
+                    currentBalance: 0,
+                    rate: terms.rate || 0,
+                    termYears: terms.termYears || 1,
+                    paymentType: terms.paymentType || 'annuity',
+                    monthlyPayment: window.liabilityClasses
+                        ? window.liabilityClasses.calculateMonthlyPayment(
+                            amount, terms.rate || 0, terms.termYears || 1, terms.paymentType || 'annuity'
+                        )
+                        : 0,
+                    startTime: time,
+                    fromEvent: event.id
+                });
+            }
+
+            const step = Math.max(1, Math.ceil(time * periodsPerYear - 1e-9));
+            if (!plan.steps.has(step)) {
+                plan.steps.set(step, []);
+            }
+            plan.steps.get(step).push({
+                event,
+                amount,
+                inflow,
+                loan,
+                assetId: event.funding === 'asset' ? event.assetId : null,
+                acquired
+            });
+        });
+
+        return plan;
+    }
+
+    /**
+     * Применение событий шага к стоимости активов
+     * Трата берется из выбранного актива, недостающее - из остальных активов пропорционально
+     * стоимости; трата в кредит не затрагивает активы. Поступление зачисляется в выбранный
+     * актив или во весь портфель. Приобретаемые активы не участвуют в списаниях и ребалансировке
+     * @param {Array} items - События шага из prepareLifeEvents
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @param {Object|null} taxState - Налоговое состояние (продажи и новые партии)
+     * @param {number} year - Год проекции
+     * @param {Object|null} cash - Состояние денежного счета: события без выбранного актива проходят через счет
+     * @returns {Object} { flow: изменение чистой стоимости, shortfall: непокрытая сумма трат, events }
+     */
+    applyLifeEvents(items, assetValues, taxState, year, cash = null) {
+        const result = { flow: 0, shortfall: 0, events: [] };
+
+        items.forEach(item => {
+            let available = item.amount;
+            let shortfall = 0;
+            // Поступление в приобретаемый актив зачисляется прямо в него, минуя счет
+            const viaCash = cash && !item.loan && !item.assetId && !(item.inflow && item.acquired);
+
+            if (viaCash) {
+                const amount = item.inflow ? item.amount : -item.amount;
+                cash.balance += amount;
+                cash.year.events += amount;
+                result.flow += amount;
+            } else if (item.loan) {
+                result.flow -= item.amount;
+            } else if (!item.inflow) {
+                available = this.withdrawFromAssets(assetValues, item.amount, item.assetId, taxState, year);
+                shortfall = item.amount - available;
+                result.flow -= available;
+            }
+
+            if (item.acquired) {
+                assetValues.set(item.acquired, assetValues.get(item.acquired) + available);
+                taxState?.assets.get(item.acquired).lots.push({ year, cost: available, value: available });
+                result.flow += available;
+            } else if (item.inflow && !viaCash) {
+                result.flow += this.depositToAssets(assetValues, available, item.assetId, taxState, year);
+            }
+
+            result.shortfall += shortfall;
+            result.events.push({
+                id: item.event.id,
+                name: item.event.name,
+                type: item.event.type,
+                direction: item.inflow ? 'inflow' : 'outflow',
+                amount: item.amount,
+                shortfall
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Доли активов для списаний и зачислений событий
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @param {string|Array|null} assetId - Выбранный актив или несколько активов (делят сумму пропорционально стоимости)
+     * @returns {Map} Актив → доля (0..1); приобретенные по событиям активы не участвуют
+     */
+    getEventShares(assetValues, assetId = null) {
+        const liquid = [...assetValues.keys()].filter(asset => !asset.fromEvent);
+        const ids = [].concat(assetId || []);
+        const selected = liquid.filter(asset => ids.includes(asset.id));
+        const pool = selected.length > 0 ? selected : liquid;
+
+        const total = pool.reduce((sum, asset) => sum + assetValues.get(asset), 0);
+        return new Map(pool.map(asset => [
+            asset,
+            total > 0 ? assetValues.get(asset) / total : 1 / pool.length
+        ]));
+    }
+
+    /**
+     * Списание суммы события с активов
+     * @param {boolean} strict - Не добирать недостающее из остальных активов (цели финансируются только из своих)
+     * @returns {number} Списанная сумма (меньше запрошенной, если активов не хватило)
+     */
+    withdrawFromAssets(assetValues, amount, assetId, taxState, year, strict = false) {
+        let withdrawn = 0;
+
+        const withdraw = (shares, requested) => {
+            shares.forEach((share, asset) => {
+                const value = assetValues.get(asset);
+                const part = Math.min(value, requested * share);
+                if (part <= 0) return;
+
+                if (taxState) {
+                    this.sellLots(taxState.assets.get(asset), asset, part / value, year);
+                }
+                assetValues.set(asset, value - part);
+                withdrawn += part;
+            });
+        };
+
+        // Сначала выбранный актив, затем остальные пропорционально стоимости
+        if (assetId) {
+            withdraw(this.getEventShares(assetValues, assetId), amount);
+        }
+        if (amount - withdrawn > 0.005 && (!assetId || !strict)) {
+            withdraw(this.getEventShares(assetValues), amount - withdrawn);
+        }
+
+        return withdrawn;
+    }
+
+    /**
+     * Зачисление суммы события в активы
+     * @returns {number} Зачисленная сумма (0, если в портфеле нет активов)
+     */
+    depositToAssets(assetValues, amount, assetId, taxState, year) {
+        let deposited = 0;
+
+        this.getEventShares(assetValues, assetId).forEach((share, asset) => {
+            const part = amount * share;
+            assetValues.set(asset, assetValues.get(asset) + part);
+            taxState?.assets.get(asset).lots.push({ year, cost: part, value: part });
+            deposited += part;
+        });
+
+        return deposited;
+    }
+
+    // === КОНЕЦ ЖИЗНЕННЫХ СОБЫТИЙ ===
+
+    // === ФИНАНСОВЫЕ ЦЕЛИ ===
+    // Цель - изъятие суммы в сегодняшних деньгах (проиндексированной на инфляцию сценария)
+    // на дату цели строго из связанных активов. Цели не меняют основные проекции:
+    // они проигрываются отдельными расчетами по уровням приоритета
+
+    /**
+     * Цели портфеля, которые можно рассчитать (дата в будущем и ненулевая сумма)
+     * @param {Object} portfolio - Портфель с целями
+     * @returns {Array} [{ goal, time, level }] по возрастанию уровня приоритета
+     */
+    getActiveGoals(portfolio) {
+        return (portfolio.goals || [])
+            .map(goal => ({
+                goal,
+                time: this.getTimeFromToday(goal.date),
+                level: window.goalTypes ? window.goalTypes.getPriorityLevel(goal.priority) : 1
+            }))
+            .filter(item => item.time > 0 && (item.goal.amount || 0) > 0)
+            .sort((a, b) => a.level - b.level);
+    }
+
+    /**
+     * Связанные с целью активы портфеля
+     * @param {Object} portfolio - Портфель
+     * @param {Array} assetIds - ID связанных активов
+     * @returns {Array} Активы ([] или только удаленные активы - весь портфель)
+     */
+    getGoalAssets(portfolio, assetIds) {
+        const assets = portfolio.assets || [];
+        const linked = assets.filter(asset => (assetIds || []).includes(asset.id));
+        return linked.length > 0 ? linked : assets;
+    }
+
+    /**
+     * План изъятий под цели: цель применяется в конце шага, на который приходится ее дата
+     * @param {Array} goals - [{ goal, time, level }] из getActiveGoals
+     * @param {number} periodsPerYear - Количество шагов в году
+     * @returns {Map} Номер шага → цели (сначала более высокий приоритет)
+     */
+    prepareGoalSteps(goals, periodsPerYear) {
+        const steps = new Map();
+
+        goals.forEach(item => {
+            const step = Math.max(1, Math.ceil(item.time * periodsPerYear - 1e-9));
+            if (!steps.has(step)) {
+                steps.set(step, []);
+            }
+            steps.get(step).push(item);
+        });
+
+        steps.forEach(items => items.sort((a, b) => a.level - b.level));
+        return steps;
+    }
+
+    /**
+     * Изъятие сумм целей шага из связанных активов (без добора из остальных)
+     * @param {Array} items - Цели шага
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @param {Object|null} taxState - Налоговое состояние
+     * @param {number} year - Год проекции
+     * @param {Object} path - Траектория сценария (индекс цен на дату цели)
+     * @returns {Array} [{ id, required, funded, shortfall, realShortfall }] - суммы номинальные, realShortfall - в сегодняшних деньгах
+     */
+    applyGoals(items, assetValues, taxState, year, path) {
+        return items.map(item => {
+            const priceIndex = this.getPriceIndex(path, item.time);
+            const required = item.goal.amount * priceIndex;
+            const funded = this.withdrawFromAssets(
+                assetValues, required, item.goal.assetIds?.length ? item.goal.assetIds : null, taxState, year, true
+            );
+            const shortfall = Math.max(0, required - funded);
+
+            return { id: item.goal.id, required, funded, shortfall, realShortfall: shortfall / priceIndex };
+        });
+    }
+
+    /**
+     * Дополнительный ежемесячный взнос под цель
+     * @param {Object} portfolio - Портфель
+     * @param {Object} contribution - { assetIds, amount: взнос в месяц, months: сколько месяцев вносится }
+     *                                или { assetIds, amounts: взносы по месяцам проекции };
+     *                                weights: { [ID актива]: доля } - делить взнос по долям, а не по стоимости
+     * @returns {Object} { shares: Map(актив → доля), amount, months, amounts }
+     */
+    prepareGoalContribution(portfolio, contribution) {
+        const assets = this.getGoalAssets(portfolio, contribution.assetIds);
+        return {
+            shares: contribution.weights
+                ? new Map(assets.map(asset => [asset, contribution.weights[asset.id] || 0]))
+                : this.getContributionShares(assets),
+            amount: contribution.amount,
+            months: contribution.months,
+            amounts: contribution.amounts || null
+        };
+    }
+
+    /**
+     * Взносы под цель по месяцам шага для актива
+     * @returns {Array|null} Взносы по месяцам (null - актив не связан с целью)
+     */
+    getGoalContributionFlows(contribution, asset, year, period, periodsPerYear) {
+        const share = contribution.shares.get(asset);
+        if (!share) return null;
+
+        const months = periodsPerYear === 1 ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [period];
+        return months.map(month => {
+            const monthIndex = (year - 1) * 12 + month;
+            if (contribution.amounts) {
+                return (contribution.amounts[monthIndex - 1] || 0) * share;
+            }
+            return monthIndex <= contribution.months ? contribution.amount * share : 0;
+        });
+    }
+
+    /**
+     * Результат цели в проекции
+     * @param {Array} projection - Проекция с goals в годовых строках
+     * @param {string} goalId - ID цели
+     * @returns {Object|null} { id, required, funded, shortfall, realShortfall }
+     */
+    getGoalOutcome(projection, goalId) {
+        for (const row of projection) {
+            const outcome = (row.goals || []).find(item => item.id === goalId);
+            if (outcome) return outcome;
+        }
+        return null;
+    }
+
+    /**
+     * Расчет финансовых целей по всем сценариям
+     * Цели проигрываются по уровням приоритета: цели высокого приоритета - одни,
+     * среднего - вместе с высокими, низкого - вместе со всеми. Так цель низкого приоритета
+     * не отнимает средства у более важной, даже если наступает раньше нее.
+     * Горизонт расчета продлевается до даты самой дальней цели.
+     * Вероятность успеха (calculateGoalProbability) и нужные взнос и доходность (solveGoal) приложение
+     * считает отдельно по запросу - здесь вероятность только при simulations > 0
+     * @param {Object} portfolio - Портфель с целями
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {Object} settings - Настройки расчета
+     * @param {Object} options - { simulations, seed } - симуляции Монте-Карло для вероятности успеха (0 - не считать)
+     * @returns {Object|null} { horizonYears, goals: [{ id, name, time, required, scenarios: { [id]: { met, required,
+     *                        funded, shortfall, fundedPercent } }, probability }] }
+     */
+    calculateGoals(portfolio, scenarios, settings, options = {}) {
+        const active = this.getActiveGoals(portfolio);
+        if (active.length === 0) {
+            return null;
+        }
+
+        const horizonYears = this.getGoalsHorizon(active, settings);
+        const goalSettings = { ...settings, horizonYears };
+        const baseId = this.getBaseScenarioId(scenarios);
+        const basePath = this.getScenarioPath(baseId, scenarios, goalSettings, []);
+        const simulations = options.simulations ?? 1000;
+        const results = [];
+
+        [...new Set(active.map(item => item.level))].forEach(level => {
+            const levelGoals = active.filter(item => item.level <= level);
+            const own = active.filter(item => item.level === level);
+
+            const projections = {};
+            this.getScenarioList(scenarios).forEach(scenario => {
+                projections[scenario.id] = this.calculateScenarioProjection(
+                    portfolio, scenarios, scenario.id, goalSettings, { goals: levelGoals }
+                );
+            });
+
+            const monteCarlo = simulations > 0
+                ? this.calculateMonteCarloProjection(portfolio, scenarios, goalSettings, {
+                    simulations, seed: options.seed, goals: levelGoals
+                })
+                : null;
+
+            own.forEach(item => {
+                const scenarioResults = {};
+                Object.entries(projections).forEach(([scenarioId, projection]) => {
+                    const outcome = this.getGoalOutcome(projection, item.goal.id);
+                    scenarioResults[scenarioId] = {
+                        met: outcome.realShortfall < 1,
+                        required: outcome.required,
+                        funded: outcome.funded,
+                        shortfall: outcome.realShortfall,
+                        fundedPercent: outcome.required > 0 ? (outcome.funded / outcome.required) * 100 : 100
+                    };
+                });
+
+                results.push({
+                    id: item.goal.id,
+                    name: item.goal.name,
+                    time: item.time,
+                    required: item.goal.amount * this.getPriceIndex(basePath, item.time),
+                    scenarios: scenarioResults,
+                    probability: monteCarlo ? monteCarlo.goals[item.goal.id] : null
+                });
+            });
+        });
+
+        return { horizonYears, goals: results };
+    }
+
+    /**
+     * Горизонт расчета целей: до даты самой дальней цели
+     * @param {Array} active - Активные цели (getActiveGoals)
+     * @param {Object} settings - Настройки расчета
+     * @returns {number} Горизонт в годах
+     */
+    getGoalsHorizon(active, settings) {
+        return Math.max(settings.horizonYears, ...active.map(item => Math.ceil(item.time)));
+    }
+
+    /**
+     * Вероятность достижения цели по Монте-Карло (вместе с более важными целями, до даты цели)
+     * Каждый уровень приоритета - отдельная серия симуляций, поэтому считается по запросу
+     * @param {Object} portfolio - Портфель с целями
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {Object} settings - Настройки расчета
+     * @param {string} goalId - ID цели
+     * @param {Object} options - { simulations, seed }
+     * @returns {number|null} Вероятность в процентах, null - дата цели прошла или сумма не задана
+     */
+    calculateGoalProbability(portfolio, scenarios, settings, goalId, options = {}) {
+        const active = this.getActiveGoals(portfolio);
+        const item = active.find(entry => entry.goal.id === goalId);
+        if (!item) {
+            return null;
+        }
+
+        const monteCarlo = this.calculateMonteCarloProjection(
+            portfolio, scenarios, { ...settings, horizonYears: Math.max(1, Math.ceil(item.time)) },
+            { simulations: options.simulations, seed: options.seed, goals: active.filter(entry => entry.level <= item.level) }
+        );
+        return monteCarlo.goals?.[goalId] ?? null;
+    }
+
+    /**
+     * Нужные взнос и доходность цели в основном сценарии
+     * Каждый решатель - десятки проекций, поэтому цель решается по запросу
+     * @param {Object} portfolio - Портфель с целями
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {Object} settings - Настройки расчета
+     * @param {string} goalId - ID цели
+     * @returns {Object|null} { requiredContribution, requiredReturn } (см. solveGoalContribution и solveGoalReturn),
+     *                        null - дата цели прошла или сумма не задана
+     */
+    solveGoal(portfolio, scenarios, settings, goalId) {
+        const active = this.getActiveGoals(portfolio);
+        const item = active.find(entry => entry.goal.id === goalId);
+        if (!item) {
+            return null;
+        }
+
+        const goalSettings = { ...settings, horizonYears: this.getGoalsHorizon(active, settings) };
+        const basePath = this.getScenarioPath(this.getBaseScenarioId(scenarios), scenarios, goalSettings, []);
+        const levelGoals = active.filter(entry => entry.level <= item.level);
+
+        return {
+            requiredContribution: this.solveGoalContribution(portfolio, scenarios, goalSettings, levelGoals, item),
+            requiredReturn: this.solveGoalReturn(portfolio, scenarios, goalSettings, levelGoals, item, basePath)
+        };
+    }
+
+    /**
+     * Ежемесячный взнос в связанные активы до даты цели, при котором цель достигается
+     * в основном сценарии (поиск делением пополам)
+     * @param {Object} portfolio - Портфель
+     * @param {Object} scenarios - Сценарии
+     * @param {Object} settings - Настройки расчета
+     * @param {Array} levelGoals - Цели уровня приоритета (более важные цели тоже финансируются)
+     * @param {Object} item - Цель { goal, time }
+     * @returns {number|null} Дополнительный взнос в месяц (0 - цель уже достигается, null - недостижима)
+     */
+    solveGoalContribution(portfolio, scenarios, settings, levelGoals, item) {
+        const baseId = this.getBaseScenarioId(scenarios);
+        const months = Math.max(1, Math.ceil(item.time * 12 - 1e-9));
+        const solverSettings = { ...settings, horizonYears: Math.max(1, Math.ceil(item.time)) };
+        const outcome = amount => this.getGoalOutcome(this.calculateScenarioProjection(
+            portfolio, scenarios, baseId, solverSettings,
+            { goals: levelGoals, extraContribution: { assetIds: item.goal.assetIds, amount, months } }
+        ), item.goal.id);
+
+        const initial = outcome(0);
+        if (initial.realShortfall < 1) {
+            return 0;
+        }
+
+        // Верхняя граница: недостающая сумма без доходности, при убытках - удваиваем
+        let high = initial.shortfall / months;
+        for (let i = 0; i < 20 && outcome(high).realShortfall >= 1; i++) {
+            high *= 2;
+        }
+        if (outcome(high).realShortfall >= 1) {
+            return null;
+        }
+
+        let low = 0;
+        for (let i = 0; i < 25; i++) {
+            const middle = (low + high) / 2;
+            if (outcome(middle).realShortfall < 1) {
+                high = middle;
+            } else {
+                low = middle;
+            }
+        }
+
+        return high;
+    }
+
+    /**
+     * Годовая доходность связанных активов, при которой цель достигается
+     * в основном сценарии (поиск делением пополам в диапазоне -50%..100%)
+     * @param {Object} portfolio - Портфель
+     * @param {Object} scenarios - Сценарии
+     * @param {Object} settings - Настройки расчета
+     * @param {Array} levelGoals - Цели уровня приоритета
+     * @param {Object} item - Цель { goal, time }
+     * @param {Object} basePath - Траектория основного сценария (для реальной доходности)
+     * @returns {Object|null} { nominal, real } в процентах, null - недостижима даже при 100%
+     */
+    solveGoalReturn(portfolio, scenarios, settings, levelGoals, item, basePath) {
+        const baseId = this.getBaseScenarioId(scenarios);
+        const solverSettings = { ...settings, horizonYears: Math.max(1, Math.ceil(item.time)) };
+        const isMet = rate => this.getGoalOutcome(this.calculateScenarioProjection(
+            portfolio, scenarios, baseId, solverSettings,
+            { goals: levelGoals, returnOverride: { assetIds: item.goal.assetIds, rate } }
+        ), item.goal.id).realShortfall < 1;
+
+        let low = -50;
+        let high = 100;
+        if (!isMet(high)) {
+            return null;
+        }
+
+        if (!isMet(low)) {
+            for (let i = 0; i < 25; i++) {
+                const middle = (low + high) / 2;
+                if (isMet(middle)) {
+                    high = middle;
+                } else {
+                    low = middle;
+                }
+            }
+        } else {
+            high = low;
+        }
+
+        // Реальная доходность - сверх средней инфляции основного сценария до даты цели
+        const inflation = Math.pow(this.getPriceIndex(basePath, item.time), 1 / item.time);
+        return { nominal: high, real: ((1 + high / 100) / inflation - 1) * 100 };
+    }
+
+    // === КОНЕЦ ФИНАНСОВЫХ ЦЕЛЕЙ ===
+
+    // === ПЕНСИЯ ===
+    // Накопление, затем изъятия: с года выхода на пенсию взносы (графики и профицит бюджета)
+    // прекращаются, а расходы изымаются из ликвидных активов пропорционально стоимости.
+    // Возраст задается целыми годами, поэтому пенсия начинается с начала года проекции
+
+    /**
+     * Пенсионный план портфеля, если он включен
+     * @param {Object} portfolio - Портфель
+     * @returns {Object|null} { ...план, startYear: первый год изъятий, endYear: год, до которого должно хватить денег }
+     */
+    getRetirementPlan(portfolio) {
+        const plan = portfolio.retirement;
+        if (!plan?.enabled) {
+            return null;
+        }
+
+        const currentAge = plan.currentAge || 0;
+        return {
+            ...plan,
+            startYear: Math.max(1, (plan.retirementAge || 0) - currentAge + 1),
+            endYear: Math.max(1, (plan.lifeExpectancy || 0) - currentAge)
+        };
+    }
+
+    /**
+     * Состояние изъятий внутри одной проекции
+     * @returns {Object} { annual, initialRate, previousIndex, depletedTime }
+     */
+    createRetirementState() {
+        return { annual: null, initialRate: null, previousIndex: null, depletedTime: null };
+    }
+
+    /**
+     * Годовая сумма изъятия по стратегии - определяется на начало пенсионного года
+     * fixed - расходы в сегодняшних деньгах, проиндексированные на инфляцию сценария;
+     * percentage - ставка изъятия от ликвидных активов на начало года;
+     * guardrails - индексируемая сумма с корректировкой, когда ставка изъятия выходит
+     * за коридор вокруг начальной ставки
+     * @param {Object} plan - Пенсионный план
+     * @param {Object} state - Состояние изъятий
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @param {Object} path - Траектория сценария
+     * @param {number} year - Год проекции
+     */
+    startRetirementYear(plan, state, assetValues, path, year) {
+        const priceIndex = path.priceIndex[year - 1];
+        const need = (plan.monthlySpending || 0) * 12 * priceIndex;
+        const liquid = this.getLiquidValue(assetValues);
+        const rate = (plan.withdrawalRate || 0) / 100;
+
+        if (plan.strategy === 'percentage') {
+            state.annual = liquid * rate;
+        } else if (plan.strategy === 'guardrails') {
+            if (state.annual === null) {
+                state.annual = need;
+                state.initialRate = liquid > 0 ? need / liquid : null;
+            } else {
+                state.annual *= priceIndex / state.previousIndex;
+                const currentRate = liquid > 0 ? state.annual / liquid : Infinity;
+                const guardrails = plan.guardrails || {};
+                const adjustment = (guardrails.adjustment || 0) / 100;
+
+                if (state.initialRate !== null && currentRate > state.initialRate * (1 + (guardrails.upper || 0) / 100)) {
+                    state.annual *= 1 - adjustment;
+                } else if (state.initialRate !== null && currentRate < state.initialRate * (1 - (guardrails.lower || 0) / 100)) {
+                    state.annual *= 1 + adjustment;
+                }
+            }
+        } else {
+            state.annual = need;
+        }
+
+        state.previousIndex = priceIndex;
+    }
+
+    /**
+     * Изъятие на расходы за шаг расчета (годовая сумма делится поровну между шагами года)
+     * @returns {Object} { withdrawn, shortfall } - shortfall: сумма, которую активы не покрыли
+     */
+    applyRetirementStep(state, assetValues, taxState, year, period, periodsPerYear) {
+        const amount = state.annual / periodsPerYear;
+        const withdrawn = this.withdrawFromAssets(assetValues, amount, null, taxState, year);
+        const shortfall = Math.max(0, amount - withdrawn);
+
+        // Деньги кончились - первый шаг, изъятие которого покрыто не полностью
+        if (shortfall > 0.5 && state.depletedTime === null) {
+            state.depletedTime = year - 1 + period / periodsPerYear;
+        }
+
+        return { withdrawn, shortfall };
+    }
+
+    /**
+     * Стоимость ликвидных активов (без приобретенных по событиям)
+     * @param {Map} assetValues - Текущая стоимость каждого актива
+     * @returns {number} Сумма
+     */
+    getLiquidValue(assetValues) {
+        let total = 0;
+        this.getTradableValues(assetValues).forEach(value => { total += value; });
+        return total;
+    }
+
+    /**
+     * Пенсионные показатели годовой строки
+     * @returns {Object} { retired, withdrawn, shortfall, realWithdrawn, need: годовые расходы в ценах года,
+     *                   liquid, realLiquid, depletedTime: когда кончились деньги (null - хватает) }
+     */
+    buildRetirementPoint(plan, state, yearRetirement, retired, assetValues, path, year) {
+        const priceIndex = path.priceIndex[year];
+        const liquid = this.getLiquidValue(assetValues);
+        return {
+            retired,
+            withdrawn: yearRetirement.withdrawn,
+            shortfall: yearRetirement.shortfall,
+            // Сумма изъятий года задана в ценах его начала
+            realWithdrawn: yearRetirement.withdrawn / path.priceIndex[Math.max(0, year - 1)],
+            need: (plan.monthlySpending || 0) * 12 * priceIndex,
+            liquid,
+            realLiquid: liquid / priceIndex,
+            depletedTime: state.depletedTime
+        };
+    }
+
+    /**
+     * Пенсионный анализ по всем сценариям: год финансовой независимости, на сколько
+     * хватит денег и вероятность их исчерпания. Горизонт продлевается до ожидаемой
+     * продолжительности жизни.
+     * Финансовая независимость - первый год, когда ликвидные активы, умноженные на ставку
+     * изъятия, покрывают годовые расходы
+     * @param {Object} portfolio - Портфель с пенсионным планом
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {Object} settings - Настройки расчета
+     * @param {Object} options - { simulations, seed } - Монте-Карло для вероятности исчерпания (0 - не считать)
+     * @returns {Object|null} { horizonYears, startYear, scenarios: { [id]: { fiYear, fiAge, capital: реальные ликвидные
+     *                        активы к пенсии, depletionAge, lastsYears, minSpending: минимальное реальное изъятие в месяц } },
+     *                        probabilityOfRuin } - depletionAge и lastsYears равны null, если денег хватает до конца
+     */
+    calculateRetirement(portfolio, scenarios, settings, options = {}) {
+        const plan = this.getRetirementPlan(portfolio);
+        if (!plan) {
+            return null;
+        }
+
+        const horizonYears = Math.max(settings.horizonYears, plan.endYear);
+        const retirementSettings = { ...settings, horizonYears };
+        const currentAge = plan.currentAge || 0;
+        const rate = (plan.withdrawalRate || 0) / 100;
+        const simulations = options.simulations ?? 1000;
+        const result = { horizonYears, startYear: plan.startYear, scenarios: {}, probabilityOfRuin: null };
+
+        this.getScenarioList(scenarios).forEach(scenario => {
+            const projection = this.calculateScenarioProjection(portfolio, scenarios, scenario.id, retirementSettings)
+                .filter(row => row.year <= plan.endYear);
+            const fiRow = projection.find(row => rate > 0 && row.retirement.liquid * rate >= row.retirement.need);
+            const retirementRow = projection[plan.startYear - 1];
+            const depletionTime = projection[projection.length - 1].retirement.depletedTime;
+            const retiredRows = projection.filter(row => row.retirement.retired);
+
+            result.scenarios[scenario.id] = {
+                fiYear: fiRow ? fiRow.year : null,
+                fiAge: fiRow ? currentAge + fiRow.year : null,
+                capital: retirementRow ? retirementRow.retirement.realLiquid : 0,
+                depletionAge: depletionTime !== null ? currentAge + depletionTime : null,
+                lastsYears: depletionTime !== null ? Math.max(0, depletionTime - (plan.startYear - 1)) : null,
+                minSpending: retiredRows.length > 0
+                    ? Math.min(...retiredRows.map(row => row.retirement.realWithdrawn)) / 12
+                    : null
+            };
+        });
+
+        if (simulations > 0) {
+            result.probabilityOfRuin = this.calculateRetirementRuin(portfolio, scenarios, settings, {
+                simulations, seed: options.seed
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Вероятность исчерпания денег на пенсии: Монте-Карло до конца плана
+     * @param {Object} portfolio - Портфель с пенсионным планом
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {Object} settings - Настройки расчета (горизонт продлевается до конца плана)
+     * @param {Object} options - { simulations, seed }
+     * @returns {number|null} Вероятность в процентах, null - план выключен
+     */
+    calculateRetirementRuin(portfolio, scenarios, settings, options = {}) {
+        const plan = this.getRetirementPlan(portfolio);
+        if (!plan) {
+            return null;
+        }
+
+        const monteCarlo = this.calculateMonteCarloProjection(
+            portfolio, scenarios, { ...settings, horizonYears: Math.max(settings.horizonYears, plan.endYear) },
+            { simulations: options.simulations, seed: options.seed }
+        );
+        return monteCarlo.retirement?.probabilityOfRuin ?? null;
+    }
+
+    // === КОНЕЦ ПЕНСИИ ===
+
+    // === ПОГАШЕНИЕ ДОЛГОВ ===
+
+    /**
+     * Кредиты портфеля для сравнения стратегий погашения: остаток на сегодня, обязательный платеж
+     * и запланированные досрочные погашения кредита
+     * @param {Object} portfolio - Портфель
+     * @returns {Array} [{ id, name, rate, balance, months, monthlyRate, differentiated, payment, principalPart,
+     *                  prepayments: Map месяц → [{ amount, mode }] }]
+     */
+    prepareDebtLoans(portfolio) {
+        return this.getCurrentLiabilities(portfolio)
+            .map((liability, index) => {
+                const months = window.liabilityClasses.getTermMonths(liability);
+                const balance = liability.principal || 0;
+                const monthlyRate = (liability.rate || 0) / 100 / 12;
+
+                return {
+                    id: liability.id || `liability_${index}`,
+                    name: liability.name,
+                    rate: liability.rate || 0,
+                    balance,
+                    months,
+                    monthlyRate,
+                    differentiated: liability.paymentType === 'differentiated',
+                    payment: window.liabilityClasses.getAnnuityPayment(balance, monthlyRate, months),
+                    principalPart: months > 0 ? balance / months : 0,
+                    prepayments: window.liabilityClasses.getPrepaymentsByMonth(liability, months)
+                };
+            })
+            .filter(loan => loan.balance > 0.005 && loan.months > 0);
+    }
+
+    /**
+     * Сумма обязательных платежей текущего месяца
+     * @param {Array} loans - Кредиты (prepareDebtLoans)
+     * @returns {number} Аннуитеты плюс доля долга и проценты дифференцированных кредитов
+     */
+    getDebtMinimumPayments(loans) {
+        return loans.reduce((sum, loan) => sum + (loan.differentiated
+            ? loan.principalPart + loan.balance * loan.monthlyRate
+            : loan.payment), 0);
+    }
+
+    /**
+     * Очередность досрочного погашения
+     * @param {Array} loans - Кредиты (prepareDebtLoans)
+     * @param {string} strategy - 'avalanche' | 'snowball' | 'custom'
+     * @param {Array} customOrder - ID кредитов для своего порядка (остальные - в конце)
+     * @returns {Array} ID кредитов: лишние деньги идут в первый непогашенный
+     */
+    getDebtPayoffOrder(loans, strategy, customOrder = []) {
+        const sorted = [...loans];
+
+        if (strategy === 'avalanche') {
+            sorted.sort((a, b) => b.rate - a.rate || a.balance - b.balance);
+        } else if (strategy === 'snowball') {
+            sorted.sort((a, b) => a.balance - b.balance || b.rate - a.rate);
+        } else {
+            const position = (loan) => {
+                const index = customOrder.indexOf(loan.id);
+                return index === -1 ? customOrder.length : index;
+            };
+            sorted.sort((a, b) => position(a) - position(b));
+        }
+
+        return sorted.map(loan => loan.id);
+    }
+
+    /**
+     * Помесячное погашение нескольких кредитов
+     * По каждому кредиту вносится обязательный платеж (досрочные погашения сокращают срок).
+     * Запланированные досрочные погашения кредитов вносятся сверх бюджета, как в графике кредита.
+     * С rollover на долги каждый месяц уходит одна и та же сумма - стартовые обязательные
+     * платежи плюс extraPayment: все, что не съели обязательные платежи (в том числе платежи
+     * закрытых кредитов), гасит кредиты по очереди order
+     * @param {Array} loans - Кредиты (prepareDebtLoans)
+     * @param {Array} order - Очередность досрочного погашения (ID)
+     * @param {number} extraPayment - Дополнительно в месяц
+     * @param {boolean} rollover - false - только обязательные платежи, без досрочных
+     * @returns {Object} { loans: [{ id, name, payoffMonth, interest }], payoffMonth, totalInterest,
+     *                   balances: суммарный остаток на конец каждого месяца (с месяца 0) }
+     */
+    simulateDebtPayoff(loans, order, extraPayment, rollover = true) {
+        const state = loans.map(loan => ({ ...loan, payoffMonth: null, interest: 0 }));
+        const queue = order.map(id => state.find(loan => loan.id === id)).filter(Boolean);
+        const budget = rollover ? this.getDebtMinimumPayments(state) + extraPayment : 0;
+        const maxMonths = Math.max(0, ...state.map(loan => loan.months));
+
+        const balances = [state.reduce((sum, loan) => sum + loan.balance, 0)];
+        let totalInterest = 0;
+
+        for (let month = 1; month <= maxMonths && state.some(loan => loan.payoffMonth === null); month++) {
+            let paid = 0;
+
+            state.forEach(loan => {
+                if (loan.payoffMonth !== null) return;
+
+                const interest = loan.balance * loan.monthlyRate;
+                const principal = Math.min(loan.balance, loan.differentiated ? loan.principalPart : loan.payment - interest);
+                loan.balance -= principal;
+                loan.interest += interest;
+                totalInterest += interest;
+                paid += interest + principal;
+
+                const prepayments = loan.prepayments?.get(month) || [];
+                prepayments.forEach(item => {
+                    loan.balance -= Math.min(loan.balance, item.amount);
+                });
+                if (prepayments.some(item => item.mode === 'payment')) {
+                    loan.payment = window.liabilityClasses.getAnnuityPayment(loan.balance, loan.monthlyRate, loan.months - month);
+                    loan.principalPart = loan.balance / Math.max(1, loan.months - month);
+                }
+            });
+
+            let pool = Math.max(0, budget - paid);
+            queue.forEach(loan => {
+                if (loan.payoffMonth !== null || pool <= 0) return;
+
+                const part = Math.min(pool, loan.balance);
+                loan.balance -= part;
+                pool -= part;
+            });
+
+            state.forEach(loan => {
+                if (loan.payoffMonth === null && loan.balance <= 0.005) {
+                    loan.balance = 0;
+                    loan.payoffMonth = month;
+                }
+            });
+            balances.push(state.reduce((sum, loan) => sum + loan.balance, 0));
+        }
+
+        return {
+            loans: state.map(loan => ({
+                id: loan.id,
+                name: loan.name,
+                payoffMonth: loan.payoffMonth ?? maxMonths,
+                interest: loan.interest
+            })),
+            payoffMonth: balances.length - 1,
+            totalInterest,
+            balances
         };
+    }
 
-        // Кэшируем результат
-        this.cache.set(cacheKey, projections);
+    /**
+     * Сравнение стратегий погашения долгов при дополнительном бюджете
+     * @param {Object} portfolio - Портфель с кредитами и debtPayoff { extraPayment, customOrder }
+     * @returns {Object|null} { extraPayment, monthlyBudget, baseline: только обязательные платежи,
+     *                        strategies: { [strategy]: { order, loans, payoffMonth, totalInterest, balances,
+     *                        interestSaved, monthsSaved } }, best: стратегия с наименьшей переплатой }
+     */
+    calculateDebtPayoff(portfolio) {
+        if (!window.liabilityClasses) return null;
+
+        const loans = this.prepareDebtLoans(portfolio);
+        if (loans.length === 0) return null;
+
+        const plan = portfolio.debtPayoff || {};
+        const extraPayment = Math.max(0, plan.extraPayment || 0);
+        const baseline = this.simulateDebtPayoff(loans, [], 0, false);
+
+        const strategies = {};
+        Object.keys(window.liabilityClasses.payoffStrategies).forEach(strategy => {
+            const order = this.getDebtPayoffOrder(loans, strategy, plan.customOrder || []);
+            const result = this.simulateDebtPayoff(loans, order, extraPayment);
+            strategies[strategy] = {
+                ...result,
+                order,
+                interestSaved: baseline.totalInterest - result.totalInterest,
+                monthsSaved: baseline.payoffMonth - result.payoffMonth
+            };
+        });
 
-        return projections;
+        const best = Object.keys(strategies)
+            .reduce((best, strategy) => strategies[strategy].totalInterest < strategies[best].totalInterest - 0.5 ? strategy : best);
+
+        return {
+            extraPayment,
+            monthlyBudget: this.getDebtMinimumPayments(loans) + extraPayment,
+            baseline,
+            strategies,
+            best
+        };
     }
 
+    // === КОНЕЦ ПОГАШЕНИЯ ДОЛГОВ ===
+
+    // === ГАСИТЬ ИЛИ ИНВЕСТИРОВАТЬ ===
+
     /**
-     * Расчет проекции для конкретного сценария
-     * @param {Object} portfolio - Портфель активов
+     * Два варианта портфеля для сравнения «досрочно гасить кредит или инвестировать»
+     * Оба варианта каждый месяц тратят одинаково: платеж по кредиту плюс monthlyAmount.
+     * prepay - сумма идет в досрочное погашение с сокращением срока, а после закрытия кредита
+     * освободившиеся деньги инвестируются; invest - сумма инвестируется, кредит платится по графику.
+     * С включенным бюджетом платежи по кредиту уже вычитаются из профицита: досрочное погашение
+     * само уменьшает взносы, а закрытие кредита - увеличивает, дополнительные взносы не нужны
+     * @param {Object} portfolio - Портфель с investOrPrepay { enabled, liabilityId, monthlyAmount, assetIds }
+     * @param {Object} settings - Настройки расчета
+     * @returns {Object|null} { liability, amount, prepay: { portfolio, options }, invest: { portfolio, options },
+     *                        payoff: { months, prepaidMonths, monthsSaved, interestSaved } } или null, если сравнение выключено
+     */
+    prepareInvestOrPrepay(portfolio, settings) {
+        const plan = portfolio.investOrPrepay || {};
+        if (!plan.enabled) {
+            return null;
+        }
+
+        const liabilities = portfolio.liabilities || [];
+        const liability = liabilities.find(item => item.id === plan.liabilityId)
+            || liabilities.find(item => item.type === 'mortgage')
+            || liabilities[0];
+        const amount = Math.max(0, plan.monthlyAmount || 0);
+
+        if (!window.liabilityClasses || !liability || amount <= 0 || (portfolio.assets || []).length === 0) {
+            return null;
+        }
+
+        // Ежемесячное погашение с ближайшего платежа
+        const prepayment = {
+            id: 'invest_or_prepay',
+            kind: 'monthly',
+            amount,
+            date: new Date().toISOString().split('T')[0],
+            endDate: null,
+            mode: 'term'
+        };
+        const prepaid = { ...liability, prepayments: [...(liability.prepayments || []), prepayment] };
+        const prepayPortfolio = { ...portfolio, liabilities: liabilities.map(item => (item === liability ? prepaid : item)) };
+
+        const base = window.liabilityClasses.buildSchedule(window.liabilityClasses.getOutstandingLoan(liability));
+        const prepay = window.liabilityClasses.buildSchedule(window.liabilityClasses.getOutstandingLoan(prepaid));
+        const outflow = (rows, month) => (rows[month - 1] ? rows[month - 1].payment + rows[month - 1].prepayment : 0);
+
+        const prepayAmounts = [];
+        const investAmounts = [];
+        for (let month = 1; month <= settings.horizonYears * 12; month++) {
+            prepayAmounts.push(Math.max(0, outflow(base.rows, month) + amount - outflow(prepay.rows, month)));
+            investAmounts.push(amount);
+        }
+
+        const options = (amounts) => (this.getBudget(portfolio)
+            ? {}
+            : { extraContribution: { assetIds: plan.assetIds || [], amounts } });
+
+        return {
+            liability,
+            amount,
+            prepay: { portfolio: prepayPortfolio, options: options(prepayAmounts) },
+            invest: { portfolio, options: options(investAmounts) },
+            payoff: {
+                months: base.payoffMonth,
+                prepaidMonths: prepay.payoffMonth,
+                monthsSaved: base.payoffMonth - prepay.payoffMonth,
+                interestSaved: base.totalInterest - prepay.totalInterest
+            }
+        };
+    }
+
+    /**
+     * Сравнение «досрочно гасить кредит или инвестировать» по всем сценариям
+     * @param {Object} portfolio - Портфель
      * @param {Object} scenarios - Сценарии доходности
-     * @param {string} scenarioType - Тип сценария (pessimistic, base, optimistic)
      * @param {Object} settings - Настройки расчета
-     * @returns {Array} Массив данных по годам
+     * @returns {Object|null} { liabilityId, loanRate, amount, payoff, scenarios: { [id]: { years: [{ year, prepay, invest,
+     *                        difference, realDifference }], difference } }, breakEvenReturn } - difference = гасить минус
+     *                        инвестировать (чистая стоимость); breakEvenReturn - годовая доходность вложений, при которой
+     *                        варианты к концу горизонта равны с точностью 0.1% (null - вне диапазона -50...100%)
      */
-    calculateScenarioProjection(portfolio, scenarios, scenarioType, settings) {
-        const years = [];
-        const inflationRate = settings.inflation / 100;
+    calculateInvestOrPrepay(portfolio, scenarios, settings) {
+        const comparison = this.prepareInvestOrPrepay(portfolio, settings);
+        if (!comparison) return null;
 
-        // Группируем активы по типам
-        const assetsByType = this.groupAssetsByType(portfolio.assets || []);
+        const project = (variant, scenarioId, extraOptions = {}) => this.calculateScenarioProjection(
+            variant.portfolio, scenarios, scenarioId, settings, { ...variant.options, ...extraOptions }
+        );
 
-        // Обязательства остаются постоянными по сценариям, но уменьшаются со временем
-        const liabilities = portfolio.liabilities || [];
+        const result = {
+            liabilityId: comparison.liability.id,
+            loanRate: comparison.liability.rate || 0,
+            amount: comparison.amount,
+            payoff: comparison.payoff,
+            scenarios: {},
+            breakEvenReturn: null
+        };
 
-        console.log(`FinancialEngine ${scenarioType} calculation:`, {
-            assetsCount: portfolio.assets?.length,
-            liabilitiesCount: liabilities.length,
-            totalLiabilities: portfolio.totalLiabilities
+        this.getScenarioList(scenarios).forEach(scenario => {
+            const prepay = project(comparison.prepay, scenario.id);
+            const invest = project(comparison.invest, scenario.id);
+            const years = prepay.map((row, index) => ({
+                year: row.year,
+                prepay: row.netWorth,
+                invest: invest[index].netWorth,
+                difference: row.netWorth - invest[index].netWorth,
+                realDifference: row.real - invest[index].real
+            }));
+
+            result.scenarios[scenario.id] = { years, difference: years[years.length - 1].difference };
         });
 
-        for (let year = 0; year <= settings.horizonYears; year++) {
-            const yearData = {
-                year,
-                nominal: 0,
-                real: 0,
-                breakdown: {},
-                liabilities: 0,
-                netWorth: 0
-            };
+        // Безубыточная доходность: одна и та же доходность вложений в обоих вариантах (основной сценарий)
+        const baseId = this.getBaseScenarioId(scenarios);
+        const assetIds = portfolio.investOrPrepay?.assetIds || [];
+        const advantage = (rate) => {
+            const override = { returnOverride: { assetIds, rate } };
+            const invest = project(comparison.invest, baseId, override);
+            const prepay = project(comparison.prepay, baseId, override);
+            return invest[invest.length - 1].netWorth - prepay[prepay.length - 1].netWorth;
+        };
 
-            // Расчет стоимости каждого типа активов
-            Object.entries(assetsByType).forEach(([assetType, assets]) => {
-                // Получаем поправку к инфляции для данного типа активов
-                const assetInfo = window.assetClasses?.getAssetInfo(assetType);
-                const inflationAdjustment = assetInfo?.inflationAdjustment?.[scenarioType] || 0;
+        let low = -50;
+        let high = 100;
+        if (advantage(low) < 0 && advantage(high) > 0) {
+            // Каждый шаг - две проекции: точнее 0.1% доходность не нужна
+            while (high - low > 0.1) {
+                const middle = (low + high) / 2;
+                if (advantage(middle) > 0) {
+                    high = middle;
+                } else {
+                    low = middle;
+                }
+            }
+            result.breakEvenReturn = (low + high) / 2;
+        }
+
+        return result;
+    }
 
-                // Рассчитываем итоговую доходность: инфляция + поправка
-                const returnRate = this.calculateInflationAdjustedReturn(inflationRate * 100, inflationAdjustment);
-                const typeValue = this.calculateAssetTypeValue(assets, returnRate, year);
+    // === КОНЕЦ ГАСИТЬ ИЛИ ИНВЕСТИРОВАТЬ ===
 
-                yearData.breakdown[assetType] = typeValue;
-                yearData.nominal += typeValue;
+    // === АРЕНДА ИЛИ ПОКУПКА ===
+    // Два пути с одинаковыми тратами: покупатель вносит первоначальный взнос, платит ипотеку
+    // и расходы владения; арендатор вкладывает первоначальный взнос и платит аренду. Кто в месяце
+    // тратит меньше, инвестирует разницу. Пути проигрываются отдельными портфелями через проекцию
+
+    /**
+     * Распределение вложений по типам финансовых активов (без недвижимости)
+     * @param {Object} portfolio - Портфель
+     * @param {string} allocation - 'current' (доли текущего портфеля) или ID профиля риска
+     * @returns {Object} { [assetType]: доля 0-1 }; без финансовых активов - сбалансированный профиль
+     */
+    getRentVsBuyAllocation(portfolio, allocation) {
+        const weights = {};
+        if (allocation && allocation !== 'current') {
+            Object.assign(weights, window.assetClasses?.getRiskProfile(allocation)?.allocation || {});
+        } else {
+            (portfolio.assets || []).forEach(asset => {
+                weights[asset.type] = (weights[asset.type] || 0) + (asset.value || 0);
             });
+        }
+        delete weights.realty;
 
-            // Расчет остатков обязательств
-            yearData.liabilities = this.calculateLiabilitiesValue(liabilities, year);
-            if (year === 0) console.log(`Year ${year} liabilities:`, yearData.liabilities);
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) {
+            return allocation === 'balanced' ? { stocks: 1 } : this.getRentVsBuyAllocation(portfolio, 'balanced');
+        }
 
-            // Чистая стоимость = активы - обязательства
-            yearData.netWorth = yearData.nominal - yearData.liabilities;
+        const shares = {};
+        Object.entries(weights).forEach(([assetType, weight]) => {
+            if (weight > 0) shares[assetType] = weight / total;
+        });
+        return shares;
+    }
 
-            // Расчет реальной стоимости с учетом инфляции
-            const inflationFactor = Math.pow(1 + inflationRate, year);
-            yearData.real = yearData.netWorth / inflationFactor;
+    /**
+     * Портфели покупателя и арендатора
+     * @param {Object} portfolio - Портфель с rentVsBuy { enabled, price, downPayment, rate, termYears, monthlyRent, rentGrowth,
+     *                            propertyTax, maintenance, insurance, allocation }; пустые ставка и срок - параметры ипотеки по умолчанию
+     * @returns {Object|null} { plan, downPayment, loan, home, ownership, allocation, savings: куда вкладывается разница трат,
+     *                        buy: портфель, rent: портфель } или null, если сравнение выключено или цена не задана
+     */
+    prepareRentVsBuy(portfolio) {
+        const plan = portfolio.rentVsBuy || {};
+        const price = Math.max(0, plan.price || 0);
+        if (!plan.enabled || !window.liabilityClasses || !window.assetClasses || price <= 0) {
+            return null;
+        }
 
-            years.push(yearData);
+        const downPayment = Math.min(price, price * Math.max(0, plan.downPayment || 0) / 100);
+        const loan = price - downPayment > 0
+            ? {
+                ...window.liabilityClasses.createDefaultLiability('mortgage', price - downPayment, plan.rate ?? null, plan.termYears ?? null),
+                id: 'rent_vs_buy_mortgage'
+            }
+            : null;
+
+        // Дом не продается при ребалансировке и не участвует в списаниях - как актив, купленный по событию
+        const home = {
+            ...window.assetClasses.createDefaultAsset('realty', price),
+            id: 'rent_vs_buy_home',
+            rental: null,
+            fromEvent: 'rent_vs_buy'
+        };
+        const ownership = {
+            monthlyRent: 0,
+            propertyTax: plan.propertyTax || 0,
+            maintenance: plan.maintenance || 0,
+            insurance: plan.insurance || 0
+        };
+
+        const allocation = this.getRentVsBuyAllocation(portfolio, plan.allocation);
+        const investments = (capital) => Object.entries(allocation).map(([assetType, share]) => ({
+            ...window.assetClasses.createDefaultAsset(assetType, capital * share),
+            id: `rent_vs_buy_${assetType}`,
+            rental: null
+        }));
+        // Сбереженная разница идет только во вложения по целевым долям (у покупателя они стартуют с нуля)
+        const savings = {
+            assetIds: Object.keys(allocation).map(assetType => `rent_vs_buy_${assetType}`),
+            weights: Object.fromEntries(Object.entries(allocation).map(([assetType, share]) => [`rent_vs_buy_${assetType}`, share]))
+        };
+        const variant = (assets, liabilities) => ({
+            id: 'rent_vs_buy',
+            assets,
+            liabilities,
+            events: [],
+            goals: [],
+            contribution: null,
+            rebalancing: {
+                policy: 'yearly',
+                target: 'custom',
+                allocation: Object.fromEntries(Object.entries(allocation).map(([assetType, share]) => [assetType, share * 100]))
+            }
+        });
+
+        return {
+            plan,
+            downPayment,
+            loan,
+            home,
+            ownership,
+            allocation,
+            savings,
+            buy: variant([home, ...investments(0)], loan ? [loan] : []),
+            rent: variant(investments(downPayment), [])
+        };
+    }
+
+    /**
+     * Траты путей по месяцам проекции в сценарии
+     * Расходы владения считаются от стоимости дома на начало года (рост - доходность недвижимости сценария)
+     * @param {Object} comparison - Результат prepareRentVsBuy
+     * @param {Object} path - Траектория сценария
+     * @param {Object} settings - Настройки расчета
+     * @returns {Object} { buy: [ипотека + владение], rent: [аренда] } по месяцам
+     */
+    getRentVsBuyOutflows(comparison, path, settings) {
+        const { plan, loan, home, ownership } = comparison;
+        const rental = { ...ownership, monthlyRent: plan.monthlyRent || 0, rentGrowth: plan.rentGrowth ?? null };
+        const outflows = { buy: [], rent: [] };
+        let homeValue = home.value;
+
+        for (let year = 1; year <= settings.horizonYears; year++) {
+            const rent = this.calculateRentalStep(rental, homeValue, path, year, 12).grossRent;
+            const ownershipCost = -this.calculateRentalStep(ownership, homeValue, path, year, 12).netRent;
+
+            for (let month = 1; month <= 12; month++) {
+                const mortgage = loan ? this.calculateLoanPayments([loan], (year - 1) * 12 + month) : 0;
+                outflows.buy.push(mortgage + ownershipCost);
+                outflows.rent.push(rent);
+            }
+
+            homeValue *= 1 + path.rates[year].returns.realty / 100;
         }
 
-        return years;
+        return outflows;
+    }
+
+    /**
+     * Сравнение «арендовать или купить» по всем сценариям
+     * @param {Object} portfolio - Портфель
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {Object} settings - Настройки расчета
+     * @returns {Object|null} { price, downPayment, loan: { principal, rate, termYears, monthlyPayment }, allocation,
+     *                        scenarios: { [id]: { years: [{ year, buy, rent, realBuy, realRent, difference, realDifference, home, loan }],
+     *                        difference, breakEvenYear } } } - difference = купить минус арендовать (чистая стоимость);
+     *                        breakEvenYear - год, начиная с которого покупка не хуже аренды до конца горизонта (null - не окупается)
+     */
+    calculateRentVsBuy(portfolio, scenarios, settings) {
+        const comparison = this.prepareRentVsBuy(portfolio);
+        if (!comparison) return null;
+
+        const assetTypes = ['realty', ...Object.keys(comparison.allocation)];
+        const result = {
+            price: comparison.home.value,
+            downPayment: comparison.downPayment,
+            loan: comparison.loan ? {
+                principal: comparison.loan.principal,
+                rate: comparison.loan.rate,
+                termYears: comparison.loan.termYears,
+                monthlyPayment: comparison.loan.monthlyPayment
+            } : null,
+            allocation: comparison.allocation,
+            scenarios: {}
+        };
+
+        this.getScenarioList(scenarios).forEach(scenario => {
+            const path = this.getScenarioPath(scenario.id, scenarios, settings, assetTypes);
+            const outflows = this.getRentVsBuyOutflows(comparison, path, settings);
+            const savings = (own, other) => own.map((amount, index) => Math.max(0, other[index] - amount));
+
+            const buy = this.calculateScenarioProjection(comparison.buy, scenarios, scenario.id, settings, {
+                extraContribution: { ...comparison.savings, amounts: savings(outflows.buy, outflows.rent) }
+            });
+            const rent = this.calculateScenarioProjection(comparison.rent, scenarios, scenario.id, settings, {
+                extraContribution: { ...comparison.savings, amounts: savings(outflows.rent, outflows.buy) }
+            });
+
+            const years = buy.map((row, index) => ({
+                year: row.year,
+                buy: row.netWorth,
+                rent: rent[index].netWorth,
+                realBuy: row.real,
+                realRent: rent[index].real,
+                difference: row.netWorth - rent[index].netWorth,
+                realDifference: row.real - rent[index].real,
+                home: row.breakdown.realty || 0,
+                loan: row.liabilities
+            }));
+
+            // Год безубыточности: с него и до конца горизонта покупка не хуже аренды
+            let breakEvenYear = null;
+            for (let index = years.length - 1; index >= 1 && years[index].difference >= 0; index--) {
+                breakEvenYear = years[index].year;
+            }
+
+            result.scenarios[scenario.id] = {
+                years,
+                difference: years[years.length - 1].difference,
+                breakEvenYear
+            };
+        });
+
+        return result;
     }
 
+    // === КОНЕЦ АРЕНДЫ ИЛИ ПОКУПКИ ===
+
     /**
      * Группировка активов по типам
      * @param {Array} assets - Массив активов
@@ -144,42 +3051,48 @@ class FinancialEngine {
      * @param {Object} portfolio - Портфель активов
      * @param {Object} projections - Проекции по сценариям
      * @param {Object} settings - Настройки
+     * @param {Object} scenarios - Сценарии (список и основной сценарий)
      * @returns {Object} Ключевые метрики
      */
-    calculateMetrics(portfolio, projections, settings) {
+    calculateMetrics(portfolio, projections, settings, scenarios) {
         const currentValue = portfolio.totalValue || 0;
-        const futureValueBase = projections.base[projections.base.length - 1]?.nominal || 0;
+        const baseId = this.getBaseScenarioId(scenarios);
+        const futureValueBase = projections[baseId]?.[projections[baseId].length - 1]?.nominal || 0;
 
         // Среднегодовой рост
         const growthRate = currentValue > 0 && settings.horizonYears > 0
             ? (Math.pow(futureValueBase / currentValue, 1 / settings.horizonYears) - 1) * 100
             : 0;
 
-        // Волатильность (упрощенный расчет на основе разброса сценариев)
+        // Итоговые значения по всем сценариям
         const finalYear = settings.horizonYears;
-        const pessimisticValue = projections.pessimistic[finalYear]?.nominal || 0;
-        const optimisticValue = projections.optimistic[finalYear]?.nominal || 0;
+        const futureValue = {};
+        this.getScenarioList(scenarios).forEach(scenario => {
+            futureValue[scenario.id] = projections[scenario.id]?.[finalYear]?.nominal || 0;
+        });
+
+        // Волатильность (упрощенный расчет на основе разброса сценариев)
+        const finalValues = Object.values(futureValue);
+        const lowestValue = Math.min(...finalValues);
+        const highestValue = Math.max(...finalValues);
         const volatility = currentValue > 0
-            ? ((optimisticValue - pessimisticValue) / (2 * currentValue)) * 100
+            ? ((highestValue - lowestValue) / (2 * currentValue)) * 100
             : 0;
 
         // Коэффициент Шарпа (упрощенный)
         const riskFreeRate = 4; // Условная безрисковая ставка
         const sharpeRatio = volatility > 0 ? (growthRate - riskFreeRate) / volatility : 0;
 
-        // Максимальная просадка (упрощенный расчет)
-        const maxDrawdown = this.calculateMaxDrawdown(projections.pessimistic);
+        // Максимальная просадка (упрощенный расчет по худшему сценарию)
+        const worstId = Object.keys(futureValue).find(id => futureValue[id] === lowestValue);
+        const maxDrawdown = this.calculateMaxDrawdown(projections[worstId] || []);
 
         // Risk Score (от 1 до 10)
         const riskScore = this.calculateRiskScore(portfolio, volatility);
 
         return {
             currentValue,
-            futureValue: {
-                pessimistic: pessimisticValue,
-                base: futureValueBase,
-                optimistic: optimisticValue
-            },
+            futureValue,
             growthRate,
             volatility,
             sharpeRatio,
@@ -188,6 +3101,315 @@ class FinancialEngine {
         };
     }
 
+    /**
+     * Монте-Карло симуляция чистой стоимости портфеля
+     * Доходности классов активов коррелированы (AssetClasses.correlations), средняя доходность
+     * берется из базового сценария, волатильность - из характеристик класса. Взносы и
+     * обязательства учитываются так же, как в детерминированных сценариях (шаг - год).
+     * @param {Object} portfolio - Портфель активов и обязательств
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {Object} settings - Настройки расчета
+     * @param {Object} options - { simulations, target, seed } - число симуляций, целевая чистая стоимость
+     *                            и зерно генератора (одинаковое зерно дает одинаковый результат);
+     *                            goals - цели из getActiveGoals (вероятность успеха каждой цели в goals[id]);
+     *                            при включенной пенсии - вероятность исчерпания денег в retirement.probabilityOfRuin
+     * @returns {Object} Перцентили по годам и вероятности на горизонте
+     */
+    calculateMonteCarloProjection(portfolio, scenarios, settings, options = {}) {
+        const simulations = options.simulations || 1000;
+        const target = options.target || 0;
+        const seed = options.seed ?? null;
+
+        window.calculations.setSeed(seed);
+        const lifeEvents = this.prepareLifeEvents(portfolio, settings, 1);
+        const assets = [...(portfolio.assets || []), ...lifeEvents.assets];
+        const liabilities = [...this.getCurrentLiabilities(portfolio), ...lifeEvents.liabilities];
+        const baseId = this.getBaseScenarioId(scenarios);
+
+        // Средние доходности и инфляция каждого года - из траектории основного сценария
+        const assetTypes = Object.keys(this.groupAssetsByType(assets));
+        const scenarioPath = this.getScenarioPath(baseId, scenarios, settings, assetTypes);
+        // Собственная волатильность актива масштабирует общий шок его типа
+        const assetVolatilities = new Map(assets.map(asset => [asset, this.getAssetVolatility(asset) / 100]));
+        const correlationMatrix = window.assetClasses
+            ? window.assetClasses.getCorrelationMatrix(assetTypes)
+            : assetTypes.map((_, i) => assetTypes.map((__, j) => (i === j ? 1 : 0)));
+        const cholesky = window.calculations.choleskyDecomposition(correlationMatrix);
+        const contributionShares = this.getContributionShares(portfolio.assets || []);
+        const rebalancing = this.getRebalancingPlan(portfolio);
+        const budget = this.getBudget(portfolio);
+        const budgetShares = budget ? this.getBudgetShares(portfolio) : null;
+        const stepPortfolio = budget ? { ...portfolio, contribution: null } : portfolio;
+
+        // Профицит бюджета не зависит от доходности - считаем один раз по инфляции основного сценария
+        const budgetSteps = [];
+        for (let year = 1; year <= settings.horizonYears && budget; year++) {
+            budgetSteps[year] = this.calculateBudgetStep(budget, liabilities, scenarioPath, year, 1, 1);
+        }
+
+        // Денежный счет: доход и платежи по кредитам тоже не зависят от доходности
+        const cashPlan = this.getCashAccount(portfolio);
+        const cashFlows = [];
+        for (let year = 1; year <= settings.horizonYears && cashPlan; year++) {
+            cashFlows[year] = budget
+                ? { income: budgetSteps[year].income - budgetSteps[year].expenses, loanPayments: budgetSteps[year].loanPayments }
+                : { income: this.getCashIncome(cashPlan, year, 1), loanPayments: this.calculateStepLoanPayments(liabilities, year, 1, 1) };
+        }
+
+        // Цели (из calculateGoals): доля симуляций, в которых цель профинансирована полностью
+        const goalSteps = options.goals ? this.prepareGoalSteps(options.goals, 1) : null;
+        const goalHits = new Map((options.goals || []).map(item => [item.goal.id, 0]));
+
+        // Пенсия: доля симуляций, в которых деньги кончились раньше ожидаемой продолжительности жизни
+        const retirement = this.getRetirementPlan(portfolio);
+        const retiredPortfolio = { ...stepPortfolio, contribution: null };
+        let ruins = 0;
+
+        const rentalAssets = assets.filter(asset => this.getRental(asset));
+
+        // Обязательства не зависят от доходности - считаем один раз
+        const liabilityValues = [];
+        for (let year = 0; year <= settings.horizonYears; year++) {
+            liabilityValues.push(this.calculateLiabilitiesValue(liabilities, year));
+        }
+
+        const paths = [];
+        const investedTotals = [];
+
+        for (let sim = 0; sim < simulations; sim++) {
+            const assetValues = new Map(assets.map(asset => [asset, asset.value || 0]));
+            const path = [];
+            let invested = 0;
+            const retirementState = retirement ? this.createRetirementState() : null;
+            const cashState = cashPlan ? this.createCashState(cashPlan) : null;
+
+            for (let year = 0; year <= settings.horizonYears; year++) {
+                const retired = retirement ? year >= retirement.startYear : false;
+                if (retired) {
+                    this.startRetirementYear(retirement, retirementState, assetValues, scenarioPath, year);
+                }
+                if (cashState) {
+                    this.startCashYear(cashState);
+                }
+
+                if (year > 0) {
+                    let contributed = 0;
+                    const rent = rentalAssets.reduce((sum, asset) => sum + this.calculateRentalStep(
+                        asset.rental, assetValues.get(asset), scenarioPath, year, 1
+                    ).netRent, 0);
+                    const shocks = window.calculations.correlatedNormalRandom(cholesky);
+                    const typeShocks = {};
+                    assetTypes.forEach((type, i) => { typeShocks[type] = shocks[i]; });
+
+                    assets.forEach(asset => {
+                        // Доходность не может быть ниже -100%
+                        const meanReturn = this.getAssetPeriodReturn(
+                            asset, baseId, scenarioPath.rates[year].returns[asset.type], year, 1, 1
+                        ) / 100;
+                        const returnRate = Math.max(meanReturn + assetVolatilities.get(asset) * typeShocks[asset.type], -0.99) * 100;
+                        const step = this.calculateAssetPeriod(
+                            assetValues.get(asset),
+                            retired ? { ...asset, contribution: null } : asset,
+                            retired ? retiredPortfolio : stepPortfolio,
+                            contributionShares.get(asset), returnRate, year, 1, 1,
+                            budget && !retired
+                                ? budgetSteps[year].flows.map(amount =>
+                                    (cashState ? Math.max(0, amount) : amount) * (budgetShares.get(asset) || 0)
+                                )
+                                : null
+                        );
+                        assetValues.set(asset, step.value);
+                        contributed += step.contributed;
+                    });
+                    if (!cashState) {
+                        this.applyRentalFlow(assetValues, rent, null, year);
+                    }
+
+                    const stepEvents = lifeEvents.steps.get(year);
+                    if (stepEvents) {
+                        invested += this.applyLifeEvents(stepEvents, assetValues, null, year, cashState).flow;
+                    }
+
+                    const stepGoals = goalSteps?.get(year);
+                    if (stepGoals) {
+                        this.applyGoals(stepGoals, assetValues, null, year, scenarioPath).forEach(outcome => {
+                            invested -= outcome.funded;
+                            if (outcome.realShortfall < 1) {
+                                goalHits.set(outcome.id, goalHits.get(outcome.id) + 1);
+                            }
+                        });
+                    }
+
+                    if (retired) {
+                        invested -= this.applyRetirementStep(retirementState, assetValues, null, year, 1, 1).withdrawn;
+                    }
+
+                    // Со счетом вложенный капитал - поступивший доход, взносы лишь перекладывают его в активы
+                    if (cashState) {
+                        const income = retired ? 0 : cashFlows[year].income;
+                        this.applyCashStep(cashState, cashPlan, {
+                            income,
+                            rent,
+                            contributions: contributed,
+                            loanPayments: cashFlows[year].loanPayments
+                        }, assetValues, null, year, year);
+                        invested += income;
+                    } else {
+                        invested += contributed;
+                    }
+
+                    const tradable = this.getTradableValues(assetValues);
+                    if (rebalancing && this.isRebalanceDue(rebalancing, tradable, 1, 1)) {
+                        this.rebalanceAssets(tradable, rebalancing.target);
+                        tradable.forEach((value, asset) => assetValues.set(asset, value));
+                    }
+                }
+
+                let totalAssets = 0;
+                assetValues.forEach(value => { totalAssets += value; });
+                path.push(totalAssets + (cashState ? cashState.balance : 0) - liabilityValues[year]);
+            }
+
+            paths.push(path);
+            investedTotals.push(invested);
+            if (retirementState && retirementState.depletedTime !== null && retirementState.depletedTime <= retirement.endYear) {
+                ruins++;
+            }
+        }
+
+        const percentiles = [10, 25, 50, 75, 90];
+        const years = [];
+        for (let year = 0; year <= settings.horizonYears; year++) {
+            const values = paths.map(path => path[year]);
+            const inflationFactor = scenarioPath.priceIndex[year];
+            const yearData = { year, real: {} };
+
+            percentiles.forEach(p => {
+                const value = window.calculations.percentile(values, p);
+                yearData[`p${p}`] = value;
+                yearData.real[`p${p}`] = value / inflationFactor;
+            });
+
+            years.push(yearData);
+        }
+
+        // Убыток - итоговая чистая стоимость ниже вложенного капитала (старт + взносы + события)
+        const startNetWorth = paths[0]?.[0] || 0;
+        const finalValues = paths.map(path => path[path.length - 1]);
+        const losses = finalValues.filter((value, i) => value < startNetWorth + investedTotals[i]).length;
+        const hits = target > 0 ? finalValues.filter(value => value >= target).length : 0;
+
+        return {
+            years,
+            simulations,
+            seed,
+            target,
+            probabilityOfLoss: simulations > 0 ? (losses / simulations) * 100 : 0,
+            probabilityOfTarget: simulations > 0 && target > 0 ? (hits / simulations) * 100 : null,
+            ...(retirement ? {
+                retirement: { probabilityOfRuin: simulations > 0 ? (ruins / simulations) * 100 : 0 }
+            } : {}),
+            ...(goalSteps ? {
+                goals: Object.fromEntries([...goalHits].map(([id, count]) => [id, simulations > 0 ? (count / simulations) * 100 : 0]))
+            } : {})
+        };
+    }
+
+    /**
+     * Исторический бэктест: текущий портфель со взносами и кредитами проигрывается
+     * через каждый исторический год начала из HistoricalData. Каждый запуск - сценарий,
+     * траектории которого повторяют фактические доходности и инфляцию этих лет.
+     * @param {Object} portfolio - Портфель активов и обязательств
+     * @param {Object} settings - Настройки расчета
+     * @returns {Object} { runs, worst, median, best, firstYear, lastYear } - запуски
+     *                   { startYear, endYear, projection, netWorth, real } и лучший/медианный/худший из них
+     */
+    calculateBacktest(portfolio, settings) {
+        const history = window.historicalData;
+        const eventAssets = this.prepareLifeEvents(portfolio, settings, 1).assets;
+        const assetTypes = Object.keys(this.groupAssetsByType([...(portfolio.assets || []), ...eventAssets]));
+
+        const runs = history.getStartYears(settings.horizonYears).map(startYear => {
+            const paths = { inflation: [] };
+            assetTypes.forEach(assetType => { paths[assetType] = []; });
+
+            for (let year = 1; year <= settings.horizonYears; year++) {
+                const calendarYear = startYear + year - 1;
+                paths.inflation.push({ fromYear: year, toYear: year, value: history.getInflation(calendarYear) });
+                assetTypes.forEach(assetType => {
+                    paths[assetType].push({ fromYear: year, toYear: year, value: history.getAssetReturn(assetType, calendarYear) });
+                });
+            }
+
+            const id = `history_${startYear}`;
+            const scenarios = { list: [{ id, name: String(startYear), inflation: null, paths }], returnModel: {} };
+            const projection = this.calculateScenarioProjection(portfolio, scenarios, id, settings);
+            const last = projection[projection.length - 1];
+
+            return {
+                startYear,
+                endYear: startYear + settings.horizonYears - 1,
+                projection,
+                netWorth: last.netWorth,
+                real: last.real
+            };
+        });
+
+        // Сравниваем по реальной стоимости - номинальные суммы разных эпох несопоставимы
+        const sorted = [...runs].sort((a, b) => a.real - b.real);
+
+        return {
+            runs,
+            worst: sorted[0] || null,
+            median: sorted[Math.floor((sorted.length - 1) / 2)] || null,
+            best: sorted[sorted.length - 1] || null,
+            firstYear: history.firstYear,
+            lastYear: history.getLastYear()
+        };
+    }
+
+    /**
+     * Стоимость комиссий за горизонт в основном сценарии: разница между итогом
+     * без комиссий и с ними (удержанные суммы плюс недополученный на них доход)
+     * @param {Object} portfolio - Портфель активов и обязательств
+     * @param {Object} scenarios - Сценарии доходности
+     * @param {Object} settings - Настройки расчета
+     * @returns {Object} { gross, net, cost, paid, assets: [{ id, name, cost, paid }] }
+     */
+    calculateFeeCost(portfolio, scenarios, settings) {
+        const baseId = this.getBaseScenarioId(scenarios);
+        const assets = portfolio.assets || [];
+        const withoutFees = (asset) => ({ ...asset, fees: { management: 0, custody: 0, commission: 0 } });
+
+        const net = this.calculateScenarioProjection(portfolio, scenarios, baseId, settings);
+        const gross = this.calculateScenarioProjection(
+            { ...portfolio, assets: assets.map(withoutFees) }, scenarios, baseId, settings
+        );
+        const netFinal = net[net.length - 1];
+        const grossFinal = gross[gross.length - 1];
+
+        const shares = this.getContributionShares(assets);
+        const assetCosts = assets.map((asset, index) => {
+            const share = shares.get(asset);
+            const withFees = this.calculateAssetProjection(asset, scenarios, baseId, settings, portfolio, share);
+            const noFees = this.calculateAssetProjection(withoutFees(asset), scenarios, baseId, settings, portfolio, share);
+            return {
+                id: asset.id || `asset_${index}`,
+                name: asset.name,
+                cost: noFees[noFees.length - 1].nominal - withFees[withFees.length - 1].nominal,
+                paid: withFees[withFees.length - 1].totalFees
+            };
+        });
+
+        return {
+            gross: grossFinal.netWorth,
+            net: netFinal.netWorth,
+            cost: grossFinal.netWorth - netFinal.netWorth,
+            paid: netFinal.totalFees,
+            assets: assetCosts
+        };
+    }
+
     /**
      * Расчет максимальной просадки
      * @param {Array} projections - Проекции по годам
@@ -286,6 +3508,9 @@ class FinancialEngine {
 
     /**
      * Генерация ключа для кэширования
+     * ID активов и кредитов входят в ключ: на них ссылаются события, строки trackAssets и ипотека
+     * аренды (rental.liabilityId). Сегодняшняя дата -
+     * тоже: от нее зависят внесенные платежи по кредитам и время до событий
      * @param {Object} portfolio - Портфель
      * @param {Object} scenarios - Сценарии
      * @param {Object} settings - Настройки
@@ -293,16 +3518,32 @@ class FinancialEngine {
      */
     getCacheKey(portfolio, scenarios, settings) {
         const data = {
-            assets: portfolio.assets?.map(a => ({ type: a.type, value: a.value })) || [],
+            assets: portfolio.assets?.map(a => ({ id: a.id, type: a.type, value: a.value, contribution: a.contribution, tax: a.tax, fees: a.fees, overrides: a.overrides, rental: a.rental })) || [],
+            events: portfolio.events || [],
+            budget: portfolio.budget,
+            retirement: portfolio.retirement,
+            cashAccount: portfolio.cashAccount,
+            contribution: portfolio.contribution,
+            rebalancing: portfolio.rebalancing,
             liabilities: portfolio.liabilities?.map(l => ({
+                id: l.id,
                 type: l.type,
                 principal: l.principal,
                 rate: l.rate,
-                termYears: l.termYears
+                termYears: l.termYears,
+                paymentType: l.paymentType,
+                startDate: l.startDate,
+                paymentsMade: l.paymentsMade,
+                actualBalance: l.actualBalance,
+                prepayments: l.prepayments
             })) || [],
-            scenarios: scenarios.returnRates,
+            scenarios: scenarios.returnModel,
+            scenarioList: scenarios.list,
             horizon: settings.horizonYears,
-            inflation: settings.inflation
+            inflation: settings.inflation,
+            resolution: settings.resolution,
+            tax: settings.tax,
+            today: new Date().toDateString()
         };
         return JSON.stringify(data);
     }
@@ -424,7 +3665,13 @@ class FinancialEngine {
                 return totalLiabilities + (liability.currentBalance || 0);
             }
 
-            const remainingBalance = window.liabilityClasses.calculateRemainingBalance(liability, years);
+            // Кредит жизненного события появляется с даты события
+            const elapsed = years - (liability.startTime || 0);
+            if (elapsed < 0) {
+                return totalLiabilities;
+            }
+
+            const remainingBalance = window.liabilityClasses.calculateRemainingBalance(liability, elapsed);
             return totalLiabilities + remainingBalance;
         }, 0);
     }
@@ -434,37 +3681,38 @@ class FinancialEngine {
      * @param {Object} portfolio - Портфель активов и обязательств
      * @param {Object} projections - Проекции по сценариям
      * @param {Object} settings - Настройки
+     * @param {Object} scenarios - Сценарии (список и основной сценарий)
      * @returns {Object} Ключевые метрики
      */
-    calculateMetricsWithLiabilities(portfolio, projections, settings) {
+    calculateMetricsWithLiabilities(portfolio, projections, settings, scenarios) {
         const currentAssets = portfolio.totalValue || 0;
-        const currentLiabilities = this.calculateLiabilitiesValue(portfolio.liabilities || [], 0);
+        const currentLiabilities = this.calculateLiabilitiesValue(this.getCurrentLiabilities(portfolio), 0);
         const currentNetWorth = currentAssets - currentLiabilities;
 
-        const futureNetWorthBase = projections.base[projections.base.length - 1]?.netWorth || 0;
+        const baseId = this.getBaseScenarioId(scenarios);
+        const futureNetWorthBase = projections[baseId]?.[projections[baseId].length - 1]?.netWorth || 0;
 
         // Среднегодовой рост чистой стоимости
         const growthRate = currentNetWorth > 0 && settings.horizonYears > 0
             ? (Math.pow(Math.abs(futureNetWorthBase) / Math.abs(currentNetWorth), 1 / settings.horizonYears) - 1) * 100
             : 0;
 
-        // Волатильность на основе чистой стоимости
+        // Волатильность на основе разброса чистой стоимости по сценариям
         const finalYear = settings.horizonYears;
-        const pessimisticNetWorth = projections.pessimistic[finalYear]?.netWorth || 0;
-        const optimisticNetWorth = projections.optimistic[finalYear]?.netWorth || 0;
+        const futureNetWorth = {};
+        this.getScenarioList(scenarios).forEach(scenario => {
+            futureNetWorth[scenario.id] = projections[scenario.id]?.[finalYear]?.netWorth || 0;
+        });
+        const finalValues = Object.values(futureNetWorth);
         const volatility = currentNetWorth > 0
-            ? ((optimisticNetWorth - pessimisticNetWorth) / (2 * Math.abs(currentNetWorth))) * 100
+            ? ((Math.max(...finalValues) - Math.min(...finalValues)) / (2 * Math.abs(currentNetWorth))) * 100
             : 0;
 
         return {
             currentAssets,
             currentLiabilities,
             currentNetWorth,
-            futureNetWorth: {
-                pessimistic: pessimisticNetWorth,
-                base: futureNetWorthBase,
-                optimistic: optimisticNetWorth
-            },
+            futureNetWorth,
             growthRate,
             volatility,
             debtToAssetsRatio: currentAssets > 0 ? (currentLiabilities / currentAssets) * 100 : 0
@@ -481,80 +3729,155 @@ class FinancialEngine {
     calculateDetailedProjections(portfolio, scenarios, settings) {
         console.log('FinancialEngine: Calculating detailed projections');
 
+        const scenarioList = this.getScenarioList(scenarios);
         const result = {
             assets: {},
-            liabilities: {
-                pessimistic: [],
-                base: [],
-                optimistic: []
-            }
+            liabilities: {}
         };
+        const lifeEvents = this.prepareLifeEvents(portfolio, settings, this.getPeriodsPerYear(settings));
+        const isJoint = this.getRebalancingPlan(portfolio) || lifeEvents.steps.size > 0 || this.getBudget(portfolio) ||
+            this.getRetirementPlan(portfolio);
+
+        // При ребалансировке, жизненных событиях, бюджете и пенсии активы зависят друг от друга - берем их из общей проекции
+        if (portfolio.assets && portfolio.assets.length > 0 && isJoint) {
+            const tracked = {};
+            scenarioList.forEach(scenario => {
+                tracked[scenario.id] = this.calculateScenarioProjection(
+                    portfolio, scenarios, scenario.id, settings, { trackAssets: true }
+                );
+            });
 
-        // Расчет по каждому активу
-        if (portfolio.assets && portfolio.assets.length > 0) {
+            [...portfolio.assets, ...lifeEvents.assets].forEach((asset, index) => {
+                const assetId = asset.id || `asset_${index}`;
+                result.assets[assetId] = {
+                    name: asset.name || `Актив ${index + 1}`,
+                    type: asset.type,
+                    value: asset.value || 0
+                };
+                scenarioList.forEach(scenario => {
+                    result.assets[assetId][scenario.id] = tracked[scenario.id].map(row => ({
+                        year: row.year,
+                        ...this.formatAssetPoint(row.assets[assetId], settings),
+                        months: row.months.map(monthData => ({
+                            month: monthData.month,
+                            ...this.formatAssetPoint(monthData.assets[assetId], settings)
+                        }))
+                    }));
+                });
+            });
+        } else if (portfolio.assets && portfolio.assets.length > 0) {
             console.log('Processing assets:', portfolio.assets.length);
+            const contributionShares = this.getContributionShares(portfolio.assets);
             portfolio.assets.forEach((asset, index) => {
+                const share = contributionShares.get(asset);
                 const assetId = asset.id || `asset_${index}`;
                 console.log(`Processing asset ${index}:`, asset);
 
                 result.assets[assetId] = {
                     name: asset.name || `Актив ${index + 1}`,
                     type: asset.type,
-                    value: asset.value || 0,
-                    pessimistic: this.calculateAssetProjection(asset, scenarios, 'pessimistic', settings),
-                    base: this.calculateAssetProjection(asset, scenarios, 'base', settings),
-                    optimistic: this.calculateAssetProjection(asset, scenarios, 'optimistic', settings)
+                    value: asset.value || 0
                 };
+                scenarioList.forEach(scenario => {
+                    result.assets[assetId][scenario.id] = this.calculateAssetProjection(
+                        asset, scenarios, scenario.id, settings, portfolio, share
+                    );
+                });
 
                 console.log(`Asset ${assetId} projections:`, result.assets[assetId]);
             });
         }
 
         // Расчет проекций обязательств
-        if (portfolio.liabilities && portfolio.liabilities.length > 0) {
+        const liabilities = [...this.getCurrentLiabilities(portfolio), ...lifeEvents.liabilities];
+        if (liabilities.length > 0) {
             // Обязательства одинаковы во всех сценариях (зависят только от времени)
-            const liabilityProjections = this.calculateLiabilitiesProjection(portfolio.liabilities, settings);
-            result.liabilities.pessimistic = liabilityProjections;
-            result.liabilities.base = liabilityProjections;
-            result.liabilities.optimistic = liabilityProjections;
+            const liabilityProjections = this.calculateLiabilitiesProjection(liabilities, settings);
+            scenarioList.forEach(scenario => {
+                result.liabilities[scenario.id] = liabilityProjections;
+            });
         } else {
-            // Пустые массивы если нет обязательств
+            // Нулевые значения если нет обязательств
+            const emptyProjection = [];
             for (let year = 0; year <= settings.horizonYears; year++) {
-                const yearData = { year, value: 0 };
-                result.liabilities.pessimistic.push(yearData);
-                result.liabilities.base.push(yearData);
-                result.liabilities.optimistic.push(yearData);
+                emptyProjection.push({ year, value: 0, months: [] });
             }
+            scenarioList.forEach(scenario => {
+                result.liabilities[scenario.id] = emptyProjection;
+            });
         }
 
         return result;
     }
 
+    /**
+     * Точка детальной проекции актива в формате calculateAssetProjection
+     * @param {Object} point - { nominal, real, totalContributions, totalFees }
+     * @param {Object} settings - Настройки
+     * @returns {Object} Округленные значения и value для графика
+     */
+    formatAssetPoint(point, settings) {
+        return {
+            nominal: Math.round(point.nominal),
+            real: Math.round(point.real),
+            totalContributions: Math.round(point.totalContributions),
+            totalFees: Math.round(point.totalFees),
+            value: settings.showRealValues ? point.real : point.nominal
+        };
+    }
+
     /**
      * Расчет проекции для отдельного актива
      * @param {Object} asset - Актив
      * @param {Object} scenarios - Сценарии доходности
-     * @param {string} scenarioType - Тип сценария
+     * @param {string} scenarioType - ID сценария
      * @param {Object} settings - Настройки
+     * @param {Object} portfolio - Портфель (для общего графика взносов)
+     * @param {number} share - Доля актива в общих взносах портфеля
      * @returns {Array} Проекция актива по годам
      */
-    calculateAssetProjection(asset, scenarios, scenarioType, settings) {
+    calculateAssetProjection(asset, scenarios, scenarioType, settings, portfolio = {}, share = 0) {
         const projection = [];
-        const returnRate = (scenarios.returnRates[asset.type]?.[scenarioType] || 0) / 100;
-        const inflationRate = settings.inflation / 100;
+        const path = this.getScenarioPath(scenarioType, scenarios, settings, [asset.type]);
+        const periodsPerYear = this.getPeriodsPerYear(settings);
 
         let currentValue = asset.value || 0;
+        let totalContributions = 0;
+        let totalFees = 0;
+
+        const buildPoint = (time) => {
+            const realValue = currentValue / this.getPriceIndex(path, time);
+            return {
+                nominal: Math.round(currentValue),
+                real: Math.round(realValue),
+                totalContributions: Math.round(totalContributions),
+                totalFees: Math.round(totalFees),
+                value: settings.showRealValues ? realValue : currentValue
+            };
+        };
 
         for (let year = 0; year <= settings.horizonYears; year++) {
-            const nominalValue = year === 0 ? currentValue : currentValue * Math.pow(1 + returnRate, year);
-            const realValue = nominalValue / Math.pow(1 + inflationRate, year);
+            const months = [];
 
-            projection.push({
-                year,
-                nominal: Math.round(nominalValue),
-                real: Math.round(realValue),
-                value: settings.showRealValues ? realValue : nominalValue
-            });
+            if (year > 0) {
+                for (let period = 1; period <= periodsPerYear; period++) {
+                    const returnRate = this.getAssetPeriodReturn(
+                        asset, scenarioType, path.rates[year].returns[asset.type], year, period, periodsPerYear
+                    );
+                    const step = this.calculateAssetPeriod(
+                        currentValue, asset, portfolio, share, returnRate, year, period, periodsPerYear
+                    );
+                    currentValue = step.value;
+                    totalContributions += step.contributed;
+                    totalFees += step.fees;
+
+                    if (periodsPerYear === 12) {
+                        months.push({ month: period, ...buildPoint(year - 1 + period / 12) });
+                    }
+                }
+            }
+
+            projection.push({ year, ...buildPoint(year), months });
         }
 
         return projection;
@@ -568,31 +3891,24 @@ class FinancialEngine {
      */
     calculateLiabilitiesProjection(liabilities, settings) {
         const projection = [];
+        const periodsPerYear = this.getPeriodsPerYear(settings);
 
         for (let year = 0; year <= settings.horizonYears; year++) {
-            let totalLiabilities = 0;
-
-            liabilities.forEach(liability => {
-                const yearsPassed = year;
-                const monthsPassed = yearsPassed * 12;
-                const totalMonths = liability.termYears * 12;
-
-                if (monthsPassed < totalMonths) {
-                    // Рассчитываем остаток долга
-                    const monthlyRate = liability.rate / 100 / 12;
-                    const remainingBalance = this.calculateRemainingBalance(
-                        liability.principal,
-                        monthlyRate,
-                        totalMonths,
-                        monthsPassed
-                    );
-                    totalLiabilities += remainingBalance;
+            const months = [];
+
+            if (year > 0 && periodsPerYear === 12) {
+                for (let month = 1; month <= 12; month++) {
+                    months.push({
+                        month,
+                        value: Math.round(this.calculateLiabilitiesBalance(liabilities, (year - 1) * 12 + month))
+                    });
                 }
-            });
+            }
 
             projection.push({
                 year,
-                value: Math.round(totalLiabilities)
+                value: Math.round(this.calculateLiabilitiesBalance(liabilities, year * 12)),
+                months
             });
         }
 
@@ -600,15 +3916,51 @@ class FinancialEngine {
     }
 
     /**
-     * Расчет остатка долга по аннуитетной формуле
+     * Суммарный остаток обязательств после N месяцев
+     * @param {Array} liabilities - Массив обязательств
+     * @param {number} monthsPassed - Количество прошедших месяцев
+     * @returns {number} Остаток долга
+     */
+    calculateLiabilitiesBalance(liabilities, monthsPassed) {
+        let totalLiabilities = 0;
+
+        liabilities.forEach(liability => {
+            const totalMonths = window.liabilityClasses
+                ? window.liabilityClasses.getTermMonths(liability)
+                : Math.round(liability.termYears * 12);
+            const paidMonths = monthsPassed - (liability.startTime || 0) * 12;
+
+            if (paidMonths >= 0 && (window.liabilityClasses?.hasPrepayments(liability) || Number.isFinite(liability.keptPayment))) {
+                // График с досрочными погашениями или сохраненным после них платежом
+                totalLiabilities += window.liabilityClasses.getScheduleBalance(liability, paidMonths);
+            } else if (paidMonths >= 0 && paidMonths < totalMonths) {
+                // Рассчитываем остаток долга
+                const monthlyRate = liability.rate / 100 / 12;
+                const remainingBalance = this.calculateRemainingBalance(
+                    liability.principal,
+                    monthlyRate,
+                    totalMonths,
+                    paidMonths,
+                    liability.paymentType
+                );
+                totalLiabilities += remainingBalance;
+            }
+        });
+
+        return totalLiabilities;
+    }
+
+    /**
+     * Расчет остатка долга по аннуитетной формуле (дифференцированный платеж гасит долг равными частями)
      * @param {number} principal - Основная сумма
      * @param {number} monthlyRate - Месячная ставка
      * @param {number} totalMonths - Общее количество месяцев
      * @param {number} paidMonths - Количество оплаченных месяцев
+     * @param {string} paymentType - 'annuity' | 'differentiated'
      * @returns {number} Остаток долга
      */
-    calculateRemainingBalance(principal, monthlyRate, totalMonths, paidMonths) {
-        if (monthlyRate === 0) {
+    calculateRemainingBalance(principal, monthlyRate, totalMonths, paidMonths, paymentType = 'annuity') {
+        if (monthlyRate === 0 || paymentType === 'differentiated') {
             return principal * (1 - paidMonths / totalMonths);
         }
 
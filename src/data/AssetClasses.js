@@ -11,6 +11,8 @@ class AssetClasses {
                 description: 'Индексные и активные фонды акций',
                 riskLevel: 'high',
                 liquidity: 'high',
+                volatility: 20, // Годовая волатильность (%)
+                typicalFees: { management: 0.9, custody: 0, commission: 0.05 }, // Типичные комиссии фонда - подсказка (% в год, % от сделки)
                 inflationAdjustment: {
                     pessimistic: -1,
                     base: 5,
@@ -25,6 +27,8 @@ class AssetClasses {
                 description: 'Фонды государственных и корпоративных облигаций',
                 riskLevel: 'medium',
                 liquidity: 'medium',
+                volatility: 7,
+                typicalFees: { management: 0.7, custody: 0, commission: 0.05 },
                 inflationAdjustment: {
                     pessimistic: -2,
                     base: 1,
@@ -39,6 +43,8 @@ class AssetClasses {
                 description: 'Депозиты и краткосрочные инструменты денежного рынка',
                 riskLevel: 'low',
                 liquidity: 'high',
+                volatility: 1.5,
+                typicalFees: { management: 0.3, custody: 0, commission: 0 },
                 inflationAdjustment: {
                     pessimistic: -1,
                     base: 0,
@@ -53,6 +59,8 @@ class AssetClasses {
                 description: 'Прямые инвестиции в недвижимость',
                 riskLevel: 'medium',
                 liquidity: 'low',
+                volatility: 10,
+                typicalFees: { management: 0, custody: 0, commission: 0 },
                 inflationAdjustment: {
                     pessimistic: -4,
                     base: 0,
@@ -161,10 +169,81 @@ class AssetClasses {
             type: assetType,
             name: `${assetInfo.name} актив`,
             value: value,
+            contribution: this.createDefaultContribution(),
+            tax: window.taxRules.createDefaultAssetTax(),
+            fees: this.createDefaultFees(),
+            overrides: this.createDefaultOverrides(),
+            rental: this.createDefaultRental(assetType),
             createdAt: new Date().toISOString()
         };
     }
 
+    /**
+     * Создать график регулярных взносов по умолчанию
+     * @param {number} amount - Сумма взноса (отрицательная - изъятие)
+     * @returns {Object} График взносов
+     */
+    createDefaultContribution(amount = 0) {
+        return {
+            amount: amount,
+            frequency: 'monthly', // 'monthly' | 'annual'
+            startYear: 1,
+            endYear: null, // null - до конца горизонта
+            indexation: 0 // Ежегодная индексация взноса (%)
+        };
+    }
+
+    /**
+     * Комиссии нового актива: нулевые, пока пользователь их не задаст
+     * @returns {Object} { management, custody, commission } - % в год, % в год, % от сделки
+     */
+    createDefaultFees() {
+        return { management: 0, custody: 0, commission: 0 };
+    }
+
+    /**
+     * Типичные комиссии для типа актива - подсказка в полях ввода, в расчет не идут
+     * @param {string} assetType - Тип актива
+     * @returns {Object} { management, custody, commission }
+     */
+    getTypicalFees(assetType) {
+        const assetInfo = this.getAssetInfo(assetType);
+        return { management: 0, custody: 0, commission: 0, ...(assetInfo?.typicalFees || {}) };
+    }
+
+    /**
+     * Аренда и расходы владения по умолчанию (только для недвижимости)
+     * Расходы нулевые: объект ничего не приносит и не стоит, пока пользователь их не задаст
+     * @param {string} assetType - Тип актива
+     * @returns {Object|null} { monthlyRent, rentGrowth, vacancy, propertyTax, maintenance, insurance, management, liabilityId }
+     */
+    createDefaultRental(assetType) {
+        if (assetType !== 'realty') return null;
+
+        return {
+            monthlyRent: 0, // Аренда в месяц, ₽
+            rentGrowth: null, // Рост аренды (% в год), null - инфляция сценария
+            vacancy: 5, // Простой (% времени без арендатора)
+            propertyTax: 0, // Налог на имущество (% от стоимости в год)
+            maintenance: 0, // Ремонт и обслуживание (% от стоимости в год)
+            insurance: 0, // Страховка (₽ в год в сегодняшних деньгах)
+            management: 0, // Управляющая компания (% от собранной аренды)
+            liabilityId: null // Связанная ипотека
+        };
+    }
+
+    /**
+     * Собственные параметры актива вместо параметров класса (по умолчанию не заданы)
+     * @returns {Object} { returns: {[scenarioId]: % номинальной доходности}, volatility, maturityDate }
+     */
+    createDefaultOverrides() {
+        return {
+            returns: {}, // Пустое значение сценария - доходность класса
+            volatility: null, // null - волатильность класса
+            maturityDate: null // 'YYYY-MM-DD' - после погашения действуют параметры класса
+        };
+    }
+
     /**
      * Генерация ID для актива
      * @param {string} assetType - Тип актива
@@ -186,6 +265,26 @@ class AssetClasses {
         return this.correlations[assetType1]?.[assetType2] || 0;
     }
 
+    /**
+     * Получить годовую волатильность типа актива
+     * @param {string} assetType - Тип актива
+     * @returns {number} Волатильность в процентах
+     */
+    getVolatility(assetType) {
+        return this.getAssetInfo(assetType)?.volatility || 0;
+    }
+
+    /**
+     * Получить корреляционную матрицу для набора типов активов
+     * @param {Array} assetTypes - Типы активов
+     * @returns {Array} Квадратная матрица корреляций в порядке assetTypes
+     */
+    getCorrelationMatrix(assetTypes) {
+        return assetTypes.map(type1 =>
+            assetTypes.map(type2 => type1 === type2 ? 1 : this.getCorrelation(type1, type2))
+        );
+    }
+
     /**
      * Валидация распределения активов
      * @param {Object} allocation - Распределение в процентах
@@ -288,51 +387,37 @@ class AssetClasses {
     }
 
     /**
-     * Получить исторические данные (заготовка для будущего API)
+     * Получить исторические данные из локальных рядов HistoricalData
      * @param {string} assetType - Тип актива
-     * @param {string} period - Период (1y, 3y, 5y)
-     * @returns {Object} Исторические данные
+     * @param {string} period - Период (1y, 3y, 5y, 10y, all)
+     * @returns {Object} Годовые доходности и индекс стоимости (100 на начало периода)
      */
-    getHistoricalData(assetType, period = '1y') {
-        // Пока возвращаем моковые данные
-        // В будущем здесь будет вызов API
-        return {
-            assetType,
-            period,
-            data: this.generateMockHistoricalData(assetType, period),
-            lastUpdated: new Date().toISOString()
-        };
-    }
+    getHistoricalData(assetType, period = '5y') {
+        const history = window.historicalData;
+        const lastYear = history.getLastYear();
+        const years = period === 'all' ? lastYear - history.firstYear + 1 : (parseInt(period, 10) || 1);
+        const firstYear = Math.max(history.firstYear, lastYear - years + 1);
 
-    /**
-     * Генерация моковых исторических данных
-     */
-    generateMockHistoricalData(assetType, period) {
-        const assetInfo = this.getAssetInfo(assetType);
-        const baseReturn = assetInfo.defaultReturn.base / 100;
-        const volatility = {
-            'high': 0.25,
-            'medium': 0.15,
-            'low': 0.05
-        }[assetInfo.riskLevel];
-
-        const periodDays = { '1y': 365, '3y': 1095, '5y': 1825 }[period] || 365;
         const data = [];
+        let currentValue = 100;
+        for (let year = firstYear; year <= lastYear; year++) {
+            const annualReturn = history.getAssetReturn(assetType, year);
+            if (annualReturn === null) continue;
 
-        let currentValue = 100; // Базовое значение
-
-        for (let i = 0; i < periodDays; i += 30) { // Помесячные данные
-            const randomFactor = 1 + (Math.random() - 0.5) * volatility;
-            const growthFactor = Math.pow(1 + baseReturn, 30/365);
-            currentValue *= growthFactor * randomFactor;
-
+            currentValue *= 1 + annualReturn / 100;
             data.push({
-                date: new Date(Date.now() - (periodDays - i) * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+                year,
+                return: annualReturn,
                 value: Math.round(currentValue * 100) / 100
             });
         }
 
-        return data;
+        return {
+            assetType,
+            period,
+            source: history.getSeries(history.assetSeries[assetType])?.name || null,
+            data
+        };
     }
 }
 
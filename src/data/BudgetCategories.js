@@ -0,0 +1,105 @@
+/**
+ * BudgetCategories - Справочник статей семейного бюджета
+ * Категории расходов с собственной инфляцией, шаблоны доходов и денежный счет
+ */
+class BudgetCategories {
+    constructor() {
+        // inflation: null - расходы растут вместе с инфляцией сценария
+        this.expenseCategories = {
+            housing: { name: 'Жилье и ЖКХ', icon: '🏠', inflation: null },
+            food: { name: 'Продукты', icon: '🛒', inflation: null },
+            transport: { name: 'Транспорт', icon: '🚌', inflation: null },
+            health: { name: 'Здоровье', icon: '💊', inflation: null },
+            education: { name: 'Образование', icon: '🎓', inflation: null },
+            leisure: { name: 'Отдых и досуг', icon: '🎭', inflation: null },
+            other: { name: 'Прочее', icon: '📦', inflation: null }
+        };
+
+        // Что делать, когда денежный счет уходит в минус
+        this.deficitModes = {
+            sell: {
+                name: 'Продавать активы',
+                description: 'Недостающие деньги выручаются продажей активов по типам в заданном порядке'
+            },
+            flag: {
+                name: 'Отмечать дефицит',
+                description: 'Счет остается в минусе, год помечается как дефицитный'
+            }
+        };
+
+        this.months = ['Январь', 'Февраль', 'Март', 'Апрель', 'Май', 'Июнь',
+            'Июль', 'Август', 'Сентябрь', 'Октябрь', 'Ноябрь', 'Декабрь'];
+    }
+
+    /**
+     * Получить информацию о категории расходов
+     * @param {string} category - Категория
+     * @returns {Object} { name, icon, inflation } (прочее, если категория неизвестна)
+     */
+    getCategoryInfo(category) {
+        return this.expenseCategories[category] || this.expenseCategories.other;
+    }
+
+    /**
+     * Получить все категории расходов
+     */
+    getAllCategories() {
+        return this.expenseCategories;
+    }
+
+    /**
+     * Получить все режимы покрытия дефицита
+     */
+    getDeficitModes() {
+        return this.deficitModes;
+    }
+
+    /**
+     * Создать премию
+     * @param {number} amount - Сумма после НДФЛ
+     * @param {number} month - Месяц выплаты (1-12)
+     * @returns {Object} Премия (растет вместе с зарплатой)
+     */
+    createBonus(amount = 0, month = 12) {
+        return {
+            id: this.generateId('bonus'),
+            name: 'Премия',
+            amount,
+            month
+        };
+    }
+
+    /**
+     * Создать статью расходов
+     * @param {string} category - Категория
+     * @param {number} amount - Сумма в месяц
+     * @returns {Object} Статья расходов
+     */
+    createExpense(category = 'other', amount = 0) {
+        const categoryInfo = this.getCategoryInfo(category);
+        return {
+            id: this.generateId('expense'),
+            category,
+            name: categoryInfo.name,
+            amount,
+            inflation: categoryInfo.inflation
+        };
+    }
+
+    /**
+     * Генерация ID для статьи бюджета
+     * @param {string} prefix - Префикс (bonus | expense)
+     * @returns {string} Уникальный ID
+     */
+    generateId(prefix) {
+        const timestamp = Date.now();
+        const random = Math.random().toString(36).substr(2, 5);
+        return `${prefix}_${timestamp}_${random}`;
+    }
+}
+
+// Создаем глобальный экземпляр
+window.budgetCategories = new BudgetCategories();
+
+// Экспортируем класс
+window.BudgetCategories = BudgetCategories;
@@ -0,0 +1,87 @@
+/**
+ * GoalTypes - Справочник финансовых целей: шаблоны целей и приоритеты
+ * Сумма цели задается в сегодняшних деньгах и индексируется на инфляцию сценария
+ */
+class GoalTypes {
+    constructor() {
+        this.goalTypes = {
+            education: { name: 'Образование детей', icon: '🎓', defaultAmount: 3000000, defaultYears: 10 },
+            car: { name: 'Автомобиль', icon: '🚗', defaultAmount: 2500000, defaultYears: 5 },
+            home: { name: 'Первый взнос за жилье', icon: '🏠', defaultAmount: 4000000, defaultYears: 5 },
+            retirement: { name: 'Пенсионный капитал', icon: '🏖️', defaultAmount: 30000000, defaultYears: 25 },
+            other: { name: 'Другая цель', icon: '🎯', defaultAmount: 1000000, defaultYears: 3 }
+        };
+
+        // level - порядок обслуживания: цели более высокого приоритета финансируются первыми
+        this.priorities = {
+            high: { name: 'Высокий', level: 1 },
+            medium: { name: 'Средний', level: 2 },
+            low: { name: 'Низкий', level: 3 }
+        };
+    }
+
+    /**
+     * Получить информацию о типе цели
+     * @param {string} goalType - Тип цели
+     * @returns {Object} Шаблон цели (другая цель, если тип неизвестен)
+     */
+    getGoalInfo(goalType) {
+        return this.goalTypes[goalType] || this.goalTypes.other;
+    }
+
+    /**
+     * Получить все типы целей
+     */
+    getAllGoalTypes() {
+        return this.goalTypes;
+    }
+
+    /**
+     * Уровень приоритета цели
+     * @param {string} priority - Приоритет (high | medium | low)
+     * @returns {number} 1 - высший (неизвестный приоритет считается низким)
+     */
+    getPriorityLevel(priority) {
+        return (this.priorities[priority] || this.priorities.low).level;
+    }
+
+    /**
+     * Создать цель по шаблону
+     * @param {string} goalType - Тип цели
+     * @returns {Object} Цель
+     */
+    createDefaultGoal(goalType) {
+        const goalInfo = this.getGoalInfo(goalType);
+
+        const date = new Date();
+        date.setFullYear(date.getFullYear() + goalInfo.defaultYears);
+
+        return {
+            id: this.generateGoalId(goalType),
+            type: goalType,
+            name: goalInfo.name,
+            amount: goalInfo.defaultAmount, // В сегодняшних деньгах
+            date: date.toISOString().split('T')[0],
+            priority: 'medium', // 'high' | 'medium' | 'low'
+            assetIds: [], // Активы, из которых финансируется цель ([] - весь портфель)
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Генерация ID для цели
+     * @param {string} goalType - Тип цели
+     * @returns {string} Уникальный ID
+     */
+    generateGoalId(goalType) {
+        const timestamp = Date.now();
+        const random = Math.random().toString(36).substr(2, 5);
+        return `goal_${goalType}_${timestamp}_${random}`;
+    }
+}
+
+// Создаем глобальный экземпляр
+window.goalTypes = new GoalTypes();
+
+// Экспортируем класс
+window.GoalTypes = GoalTypes;
@@ -0,0 +1,108 @@
+/**
+ * HistoricalData - Локальные исторические ряды годовых доходностей (российский рынок)
+ * Значения в процентах за календарный год, округлены. Источники: Московская биржа
+ * (индекс полной доходности MCFTR, индекс гособлигаций RGBITR), Банк России
+ * (средневзвешенные ставки по вкладам физлиц свыше года), Росстат (ИПЦ декабрь к декабрю,
+ * цены на вторичном рынке жилья). Данные до запуска индексов полной доходности восстановлены
+ * по ценовым индексам с учетом дивидендов и купонов.
+ */
+class HistoricalData {
+    constructor() {
+        this.firstYear = 2004;
+
+        this.series = {
+            moex: {
+                name: 'Индекс МосБиржи полной доходности',
+                returns: [10.2, 86.4, 70.1, 13.4, -66.3, 126.2, 25.4, -14.8, 9.1, 6.3, -2.9, 31.1, 33.0, 0.8, 19.1, 37.2, 14.6, 21.2, -38.9, 52.9, -1.2]
+            },
+            rgbi: {
+                name: 'Индекс гособлигаций RGBI (полной доходности)',
+                returns: [9.1, 10.3, 7.2, 5.8, -2.1, 16.2, 11.4, 5.1, 10.9, 5.6, -11.1, 19.8, 16.5, 16.8, 2.1, 20.1, 6.5, -1.9, 4.3, 1.9, -6.3]
+            },
+            deposit: {
+                name: 'Ставки по вкладам',
+                returns: [9.0, 8.5, 8.0, 7.5, 8.5, 10.0, 7.0, 6.5, 8.0, 8.0, 9.5, 10.0, 8.0, 7.0, 6.5, 6.5, 4.8, 5.5, 8.0, 9.0, 17.0]
+            },
+            cpi: {
+                name: 'Инфляция (ИПЦ)',
+                returns: [11.7, 10.9, 9.0, 11.9, 13.3, 8.8, 8.8, 6.1, 6.6, 6.5, 11.4, 12.9, 5.4, 2.5, 4.3, 3.0, 4.9, 8.4, 11.9, 7.4, 9.5]
+            },
+            housing: {
+                name: 'Цены на жилье (вторичный рынок)',
+                returns: [30.0, 20.0, 55.0, 22.0, 10.0, -12.0, 2.0, 6.0, 11.0, 4.0, 3.0, -3.0, -5.0, -2.0, 3.0, 6.0, 10.0, 24.0, 7.0, 5.0, 6.0]
+            }
+        };
+
+        // Какой ряд описывает каждый тип активов
+        this.assetSeries = {
+            stocks: 'moex',
+            bonds: 'rgbi',
+            cash: 'deposit',
+            realty: 'housing'
+        };
+    }
+
+    /**
+     * Последний год, за который есть данные
+     */
+    getLastYear() {
+        return this.firstYear + this.series.cpi.returns.length - 1;
+    }
+
+    /**
+     * Получить ряд по ключу
+     * @param {string} seriesKey - moex | rgbi | deposit | cpi | housing
+     * @returns {Object|null} { name, returns }
+     */
+    getSeries(seriesKey) {
+        return this.series[seriesKey] || null;
+    }
+
+    /**
+     * Доходность ряда за календарный год
+     * @param {string} seriesKey - Ключ ряда
+     * @param {number} year - Календарный год
+     * @returns {number|null} Доходность в процентах или null, если года нет в данных
+     */
+    getReturn(seriesKey, year) {
+        const value = this.series[seriesKey]?.returns[year - this.firstYear];
+        return typeof value === 'number' ? value : null;
+    }
+
+    /**
+     * Доходность типа активов за календарный год
+     * @param {string} assetType - Тип актива
+     * @param {number} year - Календарный год
+     * @returns {number|null} Доходность в процентах
+     */
+    getAssetReturn(assetType, year) {
+        const seriesKey = this.assetSeries[assetType];
+        return seriesKey ? this.getReturn(seriesKey, year) : null;
+    }
+
+    /**
+     * Инфляция за календарный год
+     */
+    getInflation(year) {
+        return this.getReturn('cpi', year);
+    }
+
+    /**
+     * Годы начала, для которых история покрывает весь горизонт
+     * @param {number} horizonYears - Горизонт в годах
+     * @returns {Array} Список календарных лет
+     */
+    getStartYears(horizonYears) {
+        const years = [];
+        for (let year = this.firstYear; year + horizonYears - 1 <= this.getLastYear(); year++) {
+            years.push(year);
+        }
+        return years;
+    }
+}
+
+// Создаем глобальный экземпляр
+window.historicalData = new HistoricalData();
+
+// Экспортируем класс
+window.HistoricalData = HistoricalData;
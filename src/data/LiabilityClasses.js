@@ -63,6 +63,48 @@ class LiabilityClasses {
                 riskLevel: 'high'
             }
         };
+
+        this.paymentTypes = {
+            annuity: {
+                name: 'Аннуитетный',
+                description: 'Равные платежи весь срок'
+            },
+            differentiated: {
+                name: 'Дифференцированный',
+                description: 'Долг гасится равными частями, платеж уменьшается вместе с процентами'
+            }
+        };
+
+        this.prepaymentKinds = {
+            once: 'Разово',
+            monthly: 'Ежемесячно',
+            annual: 'Ежегодно'
+        };
+
+        // Как банк пересчитывает кредит после досрочного погашения
+        this.prepaymentModes = {
+            term: 'Сократить срок',
+            payment: 'Уменьшить платеж'
+        };
+
+        // Очередность досрочного погашения нескольких кредитов
+        this.payoffStrategies = {
+            avalanche: {
+                name: 'Лавина',
+                description: 'Сначала кредит с самой высокой ставкой - минимум переплаты'
+            },
+            snowball: {
+                name: 'Снежный ком',
+                description: 'Сначала кредит с самым маленьким остатком - быстрее закрываются отдельные долги'
+            },
+            custom: {
+                name: 'Свой порядок',
+                description: 'Кредиты гасятся в заданной очередности'
+            }
+        };
+
+        // Графики платежей с досрочными погашениями (ключ - параметры кредита)
+        this.scheduleCache = new Map();
     }
 
     /**
@@ -88,9 +130,10 @@ class LiabilityClasses {
      * @param {number} principal - Основная сумма кредита
      * @param {number} rate - Годовая процентная ставка (%)
      * @param {number} termYears - Срок кредита в годах
+     * @param {string} paymentType - 'annuity' | 'differentiated'
      * @returns {Object} Объект обязательства
      */
-    createDefaultLiability(liabilityType, principal = 0, rate = null, termYears = null) {
+    createDefaultLiability(liabilityType, principal = 0, rate = null, termYears = null, paymentType = 'annuity') {
         const liabilityInfo = this.getLiabilityInfo(liabilityType);
         if (!liabilityInfo) {
             throw new Error(`Unknown liability type: ${liabilityType}`);
@@ -98,7 +141,7 @@ class LiabilityClasses {
 
         const finalRate = rate !== null ? rate : liabilityInfo.defaultRate;
         const finalTerm = termYears !== null ? termYears : liabilityInfo.defaultTerm;
-        const monthlyPayment = this.calculateMonthlyPayment(principal, finalRate, finalTerm);
+        const monthlyPayment = this.calculateMonthlyPayment(principal, finalRate, finalTerm, paymentType);
 
         return {
             id: this.generateLiabilityId(liabilityType),
@@ -108,25 +151,90 @@ class LiabilityClasses {
             currentBalance: principal,
             rate: finalRate,
             termYears: finalTerm,
-            monthlyPayment: monthlyPayment,
+            paymentType, // 'annuity' | 'differentiated'
+            monthlyPayment: monthlyPayment, // Для дифференцированного - первый платеж
+            startDate: new Date().toISOString().split('T')[0], // Дата выдачи (null - кредит начинается сегодня)
+            paymentsMade: null, // Внесено платежей (null - по дате выдачи)
+            actualBalance: null, // Фактический остаток по данным банка (null - по графику)
+            prepayments: [], // Досрочные погашения: [{ id, kind, amount, date, endDate, mode }]
             createdAt: new Date().toISOString()
         };
     }
 
     /**
-     * Расчет ежемесячного платежа (аннуитетный платеж)
+     * Создать досрочное погашение
+     * @param {string} kind - 'once' | 'monthly' | 'annual'
+     * @param {number} amount - Сумма одного погашения
+     * @returns {Object} Досрочное погашение (через месяц, с сокращением срока)
+     */
+    createPrepayment(kind = 'once', amount = 100000) {
+        const date = new Date();
+        date.setMonth(date.getMonth() + 1);
+
+        return {
+            id: `prepayment_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            kind,
+            amount,
+            date: date.toISOString().split('T')[0], // Дата погашения (для регулярных - первого)
+            endDate: null, // Последнее регулярное погашение (null - до конца кредита)
+            mode: 'term' // 'term' - сократить срок | 'payment' - уменьшить платеж
+        };
+    }
+
+    /**
+     * Есть ли у кредита досрочные погашения
+     * @param {Object} liability - Обязательство
+     * @returns {boolean}
+     */
+    hasPrepayments(liability) {
+        return Array.isArray(liability.prepayments) && liability.prepayments.some(item => (item.amount || 0) > 0);
+    }
+
+    /**
+     * Платежи кредита меняются от месяца к месяцу - считаем их по помесячному графику
+     * @param {Object} liability - Обязательство
+     * @returns {boolean} Дифференцированные платежи, досрочные погашения или сохраненный платеж
+     */
+    needsSchedule(liability) {
+        return liability.paymentType === 'differentiated' || this.hasPrepayments(liability)
+            || Number.isFinite(liability.keptPayment);
+    }
+
+    /**
+     * Срок кредита в месяцах: заданный явно (termMonths у пересобранного кредита) или из срока в годах
+     * @param {Object} liability - Обязательство
+     * @returns {number} Число платежей
+     */
+    getTermMonths(liability) {
+        return Number.isFinite(liability.termMonths)
+            ? liability.termMonths
+            : Math.round((liability.termYears || 0) * 12);
+    }
+
+    /**
+     * Расчет ежемесячного платежа
      * @param {number} principal - Основная сумма кредита
      * @param {number} annualRate - Годовая процентная ставка (%)
      * @param {number} termYears - Срок кредита в годах
-     * @returns {number} Ежемесячный платеж
+     * @param {string} paymentType - 'annuity' | 'differentiated' (для него - первый, самый большой платеж)
+     * @returns {number} Ежемесячный платеж (без процентов - равные доли долга)
      */
-    calculateMonthlyPayment(principal, annualRate, termYears) {
-        if (principal <= 0 || annualRate <= 0 || termYears <= 0) {
+    calculateMonthlyPayment(principal, annualRate, termYears, paymentType = 'annuity') {
+        if (principal <= 0 || termYears <= 0) {
             return 0;
         }
 
-        const monthlyRate = annualRate / 100 / 12;
-        const numPayments = termYears * 12;
+        const monthlyRate = Math.max(0, annualRate || 0) / 100 / 12;
+        // Целое число платежей, как в помесячном графике
+        const numPayments = Math.max(1, Math.round(termYears * 12));
+
+        if (monthlyRate === 0) {
+            return Math.round(principal / numPayments * 100) / 100;
+        }
+
+        if (paymentType === 'differentiated') {
+            return Math.round((principal / numPayments + principal * monthlyRate) * 100) / 100;
+        }
 
         // Формула аннуитетного платежа
         const monthlyPayment = principal *
@@ -147,10 +255,19 @@ class LiabilityClasses {
             return liability.principal;
         }
 
+        if (this.hasPrepayments(liability) || Number.isFinite(liability.keptPayment)) {
+            return this.getScheduleBalance(liability, years * 12);
+        }
+
         if (years >= liability.termYears) {
             return 0;
         }
 
+        // Дифференцированный платеж (и кредит без процентов) гасит долг равными частями
+        if (liability.paymentType === 'differentiated' || !(liability.rate > 0)) {
+            return Math.max(0, Math.round(liability.principal * (1 - years / liability.termYears) * 100) / 100);
+        }
+
         const monthlyRate = liability.rate / 100 / 12;
         const totalPayments = liability.termYears * 12;
         const paymentsMade = years * 12;
@@ -164,13 +281,192 @@ class LiabilityClasses {
         return Math.max(0, Math.round(remainingBalance * 100) / 100);
     }
 
+    /**
+     * Сколько платежей уже внесено: задано вручную или по числу полных месяцев с даты выдачи
+     * @param {Object} liability - Обязательство
+     * @returns {number} Внесено платежей (от 0 до срока кредита)
+     */
+    getPaymentsMade(liability) {
+        const totalMonths = this.getTermMonths(liability);
+        let paid = 0;
+
+        if (Number.isFinite(liability.paymentsMade)) {
+            paid = Math.floor(liability.paymentsMade);
+        } else if (liability.startDate) {
+            const start = new Date(liability.startDate);
+            if (!Number.isNaN(start.getTime())) {
+                const now = new Date();
+                paid = (now.getFullYear() - start.getFullYear()) * 12 + now.getMonth() - start.getMonth();
+                // Первый платеж - через месяц после выдачи
+                if (now.getDate() < start.getDate()) {
+                    paid--;
+                }
+            }
+        }
+
+        return Math.min(totalMonths, Math.max(0, paid));
+    }
+
+    /**
+     * Исходный график уже выданного кредита с прошлыми досрочными погашениями
+     * Кредит начинается paymentsMade месяцев назад; погашения текущего месяца идут в первый месяц
+     * прогноза (см. getLoanMonth) и в прошлое не входят
+     * @param {Object} liability - Обязательство
+     * @param {number} paymentsMade - Внесено платежей
+     * @returns {Object} { balance: остаток по графику на сегодня, mode: режим последнего прошлого погашения или null }
+     */
+    getPastSchedule(liability, paymentsMade) {
+        const origin = { ...liability, startTime: -paymentsMade / 12 };
+        const past = this.getPrepaymentsByMonth(origin, paymentsMade);
+        if (past.size === 0) {
+            return {
+                balance: this.calculateRemainingBalance({ ...liability, prepayments: [] }, paymentsMade / 12),
+                mode: null
+            };
+        }
+
+        const rows = this.buildSchedule(origin).rows;
+        const row = rows[paymentsMade - 1];
+        const last = past.get(Math.max(...past.keys()));
+        return {
+            balance: row ? row.balance : 0,
+            mode: last.some(item => item.mode === 'payment') ? 'payment' : 'term'
+        };
+    }
+
+    /**
+     * Платеж по исходному графику без досрочных погашений
+     * @param {Object} liability - Обязательство (исходные сумма и срок)
+     * @returns {number} Аннуитет или, для дифференцированного платежа, доля основного долга
+     */
+    getOriginalPayment(liability) {
+        const totalMonths = this.getTermMonths(liability);
+        if (liability.paymentType === 'differentiated') {
+            return totalMonths > 0 ? (liability.principal || 0) / totalMonths : 0;
+        }
+        return this.getAnnuityPayment(liability.principal || 0, (liability.rate || 0) / 100 / 12, totalMonths);
+    }
+
+    /**
+     * Сколько месяцев гасить остаток прежним платежом (досрочное погашение с сокращением срока)
+     * @param {Object} liability - Обязательство (исходные сумма и срок)
+     * @param {number} balance - Остаток долга
+     * @returns {number} Месяцев до закрытия (дробное - последний платеж неполный)
+     */
+    getRemainingTerm(liability, balance) {
+        const totalMonths = this.getTermMonths(liability);
+        if (balance <= 0 || totalMonths <= 0) return 0;
+
+        // Дифференцированный платеж сохраняет прежнюю долю основного долга
+        const payment = this.getOriginalPayment(liability);
+        if (liability.paymentType === 'differentiated') {
+            return balance / payment;
+        }
+
+        const monthlyRate = (liability.rate || 0) / 100 / 12;
+        if (monthlyRate === 0) {
+            return balance / payment;
+        }
+        if (balance * monthlyRate >= payment) {
+            return totalMonths;
+        }
+        return -Math.log(1 - balance * monthlyRate / payment) / Math.log(1 + monthlyRate);
+    }
+
+    /**
+     * Сверка кредита на сегодня: остаток по исходному графику и фактический остаток
+     * Прошлые досрочные погашения входят в остаток по графику; после погашения с сокращением
+     * срока платеж прежний, а оставшийся срок пересчитывается
+     * @param {Object} liability - Обязательство
+     * @returns {Object} { paymentsMade, remainingMonths, scheduledBalance, actualBalance,
+     *                   balance: остаток, от которого строится прогноз, difference: факт минус график,
+     *                   termMonths: оставшееся число платежей, keepPayment: платеж прежний, срок сокращен }
+     */
+    getLoanReconciliation(liability) {
+        const totalMonths = this.getTermMonths(liability);
+        const paymentsMade = this.getPaymentsMade(liability);
+        const past = this.getPastSchedule(liability, paymentsMade);
+        const scheduledBalance = Math.round(past.balance * 100) / 100;
+        const actualBalance = Number.isFinite(liability.actualBalance) ? Math.max(0, liability.actualBalance) : null;
+        const balance = paymentsMade >= totalMonths ? 0 : actualBalance ?? scheduledBalance;
+        const keepPayment = past.mode === 'term';
+        // Последний платеж при сокращенном сроке неполный - он тоже отдельный месяц
+        const termMonths = balance <= 0 ? 0 : keepPayment
+            ? Math.min(totalMonths - paymentsMade, Math.ceil(this.getRemainingTerm(liability, balance) - 1e-9))
+            : totalMonths - paymentsMade;
+
+        return {
+            paymentsMade,
+            remainingMonths: termMonths,
+            scheduledBalance,
+            actualBalance,
+            balance,
+            difference: actualBalance === null ? 0 : actualBalance - scheduledBalance,
+            termMonths,
+            keepPayment
+        };
+    }
+
+    /**
+     * Текущий остаток долга
+     * @param {Object} liability - Обязательство
+     * @returns {number} Остаток на сегодня (для кредита события - до его начала не считается)
+     */
+    getCurrentBalance(liability) {
+        return this.getOutstandingLoan(liability).principal || 0;
+    }
+
+    /**
+     * Кредит с сегодняшнего дня: остаток долга на оставшийся срок
+     * Уже выданный кредит пересобирается от фактического (или планового) остатка на termMonths платежей.
+     * Платеж пересчитывается на оставшиеся месяцы - при совпадении остатка с графиком он равен исходному;
+     * после досрочного погашения с сокращением срока прежний платеж сохраняется в keptPayment
+     * (для дифференцированного - доля основного долга), а срок короче.
+     * Кредиты жизненных событий (startTime) и новые кредиты возвращаются как есть
+     * @param {Object} liability - Обязательство
+     * @returns {Object} Обязательство, начинающееся сегодня
+     */
+    getOutstandingLoan(liability) {
+        if (Number.isFinite(liability.startTime)) {
+            return liability;
+        }
+
+        const reconciliation = this.getLoanReconciliation(liability);
+        if (reconciliation.paymentsMade === 0 && reconciliation.actualBalance === null) {
+            return liability;
+        }
+
+        const { balance, termMonths } = reconciliation;
+        const keptPayment = reconciliation.keepPayment && termMonths > 0 ? this.getOriginalPayment(liability) : null;
+        const monthlyPayment = keptPayment === null
+            ? this.calculateMonthlyPayment(balance, liability.rate, termMonths / 12, liability.paymentType)
+            : Math.round((liability.paymentType === 'differentiated'
+                ? keptPayment + balance * (liability.rate || 0) / 100 / 12
+                : Math.min(keptPayment, balance * (1 + (liability.rate || 0) / 100 / 12))) * 100) / 100;
+
+        return {
+            ...liability,
+            principal: balance,
+            termYears: termMonths / 12,
+            termMonths,
+            keptPayment,
+            monthlyPayment,
+            startDate: null,
+            paymentsMade: null,
+            actualBalance: null
+        };
+    }
+
     /**
      * Расчет общих выплат по кредиту
      * @param {Object} liability - Обязательство
      * @returns {Object} Информация о выплатах
      */
     calculateTotalPayments(liability) {
-        const totalPayments = liability.monthlyPayment * liability.termYears * 12;
+        const schedule = this.needsSchedule(liability) ? this.buildSchedule(liability) : null;
+        const totalPayments = schedule
+            ? schedule.totalPaid
+            : liability.monthlyPayment * liability.termYears * 12;
         const totalInterest = totalPayments - liability.principal;
 
         return {
@@ -221,31 +517,288 @@ class LiabilityClasses {
     }
 
     /**
-     * Получить график платежей (первые 12 месяцев)
+     * Получить график платежей
+     * Уже выданный кредит показывается с даты выдачи: внесенные платежи - по исходному графику
+     * с прошлыми досрочными погашениями, дальше - от остатка на сегодня (getOutstandingLoan)
      * @param {Object} liability - Обязательство
-     * @returns {Array} График платежей
+     * @param {number|null} months - Сколько первых месяцев вернуть (null - весь срок)
+     * @returns {Array} [{ month, date, payment, principal, interest, prepayment, remainingBalance, cumulativeInterest }]
      */
-    getPaymentSchedule(liability, months = 12) {
-        const schedule = [];
-        const monthlyRate = liability.rate / 100 / 12;
-        let remainingBalance = liability.principal;
-
-        for (let month = 1; month <= Math.min(months, liability.termYears * 12); month++) {
-            const interestPayment = remainingBalance * monthlyRate;
-            const principalPayment = liability.monthlyPayment - interestPayment;
-            remainingBalance -= principalPayment;
-
-            schedule.push({
-                month,
-                payment: Math.round(liability.monthlyPayment * 100) / 100,
-                principal: Math.round(principalPayment * 100) / 100,
-                interest: Math.round(interestPayment * 100) / 100,
-                remainingBalance: Math.round(Math.max(0, remainingBalance) * 100) / 100
+    getPaymentSchedule(liability, months = null) {
+        const rows = this.getLoanRows(liability);
+        let cumulativeInterest = 0;
+
+        return rows.slice(0, months ?? rows.length).map(row => {
+            cumulativeInterest += row.interest;
+            return {
+                month: row.month,
+                date: row.date,
+                payment: Math.round(row.payment * 100) / 100,
+                principal: Math.round(row.principal * 100) / 100,
+                interest: Math.round(row.interest * 100) / 100,
+                prepayment: Math.round(row.prepayment * 100) / 100,
+                remainingBalance: Math.round(row.balance * 100) / 100,
+                cumulativeInterest: Math.round(cumulativeInterest * 100) / 100
+            };
+        });
+    }
+
+    /**
+     * Строки графика кредита за весь срок с датами платежей (см. getPaymentSchedule)
+     * @param {Object} liability - Обязательство
+     * @returns {Array} [{ month, date, payment, principal, interest, prepayment, balance }]
+     */
+    getLoanRows(liability) {
+        const outstanding = this.getOutstandingLoan(liability);
+        const paymentsMade = outstanding === liability ? 0 : this.getPaymentsMade(liability);
+        const withDate = (loan, offset) => row => ({
+            ...row,
+            month: row.month + offset,
+            date: this.getLoanMonthDate(loan, row.month)
+        });
+        const future = this.buildSchedule(outstanding).rows.map(withDate(outstanding, paymentsMade));
+        if (paymentsMade === 0) {
+            return future;
+        }
+
+        const origin = { ...liability, startTime: -paymentsMade / 12 };
+        const past = this.buildSchedule(origin).rows.slice(0, paymentsMade).map(withDate(origin, 0));
+        return [...past, ...future];
+    }
+
+    /**
+     * График платежей за весь срок с итогами по календарным годам
+     * @param {Object} liability - Обязательство
+     * @returns {Object} { rows: помесячно (см. getPaymentSchedule),
+     *                   years: [{ year, payment, principal, interest, prepayment, remainingBalance, cumulativeInterest, rows }],
+     *                   totals: { payment, principal, interest, prepayment } }
+     */
+    getAmortizationSchedule(liability) {
+        const rows = this.getPaymentSchedule(liability);
+        const years = [];
+        const totals = { payment: 0, principal: 0, interest: 0, prepayment: 0 };
+        const fields = Object.keys(totals);
+
+        rows.forEach(row => {
+            const year = row.date.getFullYear();
+            let subtotal = years[years.length - 1];
+            if (!subtotal || subtotal.year !== year) {
+                subtotal = { year, payment: 0, principal: 0, interest: 0, prepayment: 0, rows: [] };
+                years.push(subtotal);
+            }
+
+            subtotal.rows.push(row);
+            fields.forEach(field => {
+                subtotal[field] += row[field];
+                totals[field] += row[field];
             });
+            // Остаток и накопленные проценты - на конец года
+            subtotal.remainingBalance = row.remainingBalance;
+            subtotal.cumulativeInterest = row.cumulativeInterest;
+        });
+
+        const round = (item) => fields.forEach(field => {
+            item[field] = Math.round(item[field] * 100) / 100;
+        });
+        years.forEach(round);
+        round(totals);
+
+        return { rows, years, totals };
+    }
+
+    /**
+     * Аннуитетный платеж без округления (при нулевой ставке - равные доли долга)
+     * @param {number} balance - Остаток долга
+     * @param {number} monthlyRate - Месячная ставка
+     * @param {number} months - Оставшееся число платежей
+     * @returns {number} Платеж
+     */
+    getAnnuityPayment(balance, monthlyRate, months) {
+        if (balance <= 0 || months <= 0) return 0;
+        if (monthlyRate === 0) return balance / months;
+
+        const growth = Math.pow(1 + monthlyRate, months);
+        return balance * monthlyRate * growth / (growth - 1);
+    }
+
+    /**
+     * Номер месяца кредита, на который приходится дата (платеж месяца и погашение вносятся вместе)
+     * Считается по календарным месяцам, как и getLoanMonthDate: дата в календарном месяце платежа
+     * относится к этому платежу. Платеж текущего месяца уже внесен, поэтому даты текущего месяца
+     * относятся к первому месяцу прогноза
+     * @param {Object} liability - Обязательство (startTime - начало кредита в годах от сегодня)
+     * @param {string} date - Дата 'YYYY-MM-DD'
+     * @param {boolean} clamp - Даты до начала кредита относить к первому месяцу
+     * @returns {number|null} Месяц кредита (начиная с 1; без clamp - 0 и меньше для прошлых дат), null - дата не задана
+     */
+    getLoanMonth(liability, date, clamp = true) {
+        const target = new Date(date);
+        if (!date || Number.isNaN(target.getTime())) return null;
+
+        const now = new Date();
+        const months = (target.getFullYear() - now.getFullYear()) * 12 + target.getMonth() - now.getMonth();
+        const month = (months === 0 ? 1 : months) - Math.round((liability.startTime || 0) * 12);
+        return clamp ? Math.max(1, month) : month;
+    }
+
+    /**
+     * Дата месяца кредита: тот же день месяца, что сегодня (в коротком месяце - последний день)
+     * @param {Object} liability - Обязательство
+     * @param {number} month - Месяц кредита
+     * @returns {Date} Дата платежа
+     */
+    getLoanMonthDate(liability, month) {
+        const now = new Date();
+        const offset = Math.round((liability.startTime || 0) * 12) + month;
+        const lastDay = new Date(now.getFullYear(), now.getMonth() + offset + 1, 0).getDate();
+        return new Date(now.getFullYear(), now.getMonth() + offset, Math.min(now.getDate(), lastDay));
+    }
+
+    /**
+     * Досрочные погашения по месяцам кредита
+     * @param {Object} liability - Обязательство
+     * @param {number} totalMonths - Срок кредита в месяцах
+     * @returns {Map} Месяц → [{ amount, mode }]
+     */
+    getPrepaymentsByMonth(liability, totalMonths) {
+        const byMonth = new Map();
+        const add = (month, item) => {
+            if (month < 1 || month > totalMonths) return;
+            if (!byMonth.has(month)) {
+                byMonth.set(month, []);
+            }
+            byMonth.get(month).push({ amount: item.amount, mode: item.mode });
+        };
+
+        (liability.prepayments || []).forEach(item => {
+            const first = this.getLoanMonth(liability, item.date, false);
+            if (first === null || !(item.amount > 0)) return;
+
+            // Погашения прошлых месяцев уже сидят в остатке долга
+            if (item.kind === 'once') {
+                if (first >= 0) {
+                    add(Math.max(1, first), item);
+                }
+                return;
+            }
+
+            const last = Math.min(totalMonths, this.getLoanMonth(liability, item.endDate, false) ?? totalMonths);
+            const step = item.kind === 'annual' ? 12 : 1;
+            // Регулярные погашения, начатые в прошлом, продолжаются по своему календарю
+            let month = first;
+            if (month < 1) {
+                month += Math.ceil((1 - month) / step) * step;
+            }
+            for (; month <= last; month += step) {
+                add(month, item);
+            }
+        });
+
+        return byMonth;
+    }
+
+    /**
+     * Помесячный график кредита с досрочными погашениями
+     * Аннуитет - равные платежи; дифференцированный - равные доли основного долга плюс проценты.
+     * Погашение вносится вместе с платежом месяца и целиком идет в основной долг.
+     * 'term' - платеж (доля долга) прежний, кредит закрывается раньше; 'payment' - срок прежний,
+     * платеж (доля долга) пересчитывается на остаток
+     * @param {Object} liability - Обязательство
+     * @param {boolean} withPrepayments - Учитывать досрочные погашения (false - исходный график)
+     * @returns {Object} { rows: [{ month, payment, principal, interest, prepayment, balance }],
+     *                   payoffMonth, totalInterest, totalPaid }
+     */
+    buildSchedule(liability, withPrepayments = true) {
+        const totalMonths = this.getTermMonths(liability);
+        const kept = Number.isFinite(liability.keptPayment) ? liability.keptPayment : null;
+        const key = JSON.stringify([
+            liability.principal, liability.rate, totalMonths, liability.paymentType, liability.startTime || 0, kept,
+            withPrepayments ? liability.prepayments || [] : [], new Date().toDateString()
+        ]);
+        if (this.scheduleCache.has(key)) {
+            return this.scheduleCache.get(key);
+        }
+
+        const monthlyRate = (liability.rate || 0) / 100 / 12;
+        const prepayments = withPrepayments ? this.getPrepaymentsByMonth(liability, totalMonths) : new Map();
+        const rows = [];
+        const differentiated = liability.paymentType === 'differentiated';
+        let balance = liability.principal || 0;
+        // Сохраненный после сокращения срока платеж: аннуитет или доля основного долга
+        let payment = !differentiated && kept !== null ? kept : this.getAnnuityPayment(balance, monthlyRate, totalMonths);
+        let principalPart = differentiated && kept !== null ? kept : (totalMonths > 0 ? balance / totalMonths : 0);
+        let totalInterest = 0;
+        let totalPaid = 0;
+
+        for (let month = 1; month <= totalMonths && balance > 0.005; month++) {
+            const interest = balance * monthlyRate;
+            const principal = Math.min(balance, differentiated ? principalPart : payment - interest);
+            balance -= principal;
+
+            let prepayment = 0;
+            let reducePayment = false;
+            (prepayments.get(month) || []).forEach(item => {
+                const part = Math.min(balance, item.amount);
+                prepayment += part;
+                balance -= part;
+                reducePayment = reducePayment || item.mode === 'payment';
+            });
+
+            if (reducePayment) {
+                payment = this.getAnnuityPayment(balance, monthlyRate, totalMonths - month);
+                principalPart = balance / Math.max(1, totalMonths - month);
+            }
+
+            totalInterest += interest;
+            totalPaid += interest + principal + prepayment;
+            rows.push({ month, payment: interest + principal, principal, interest, prepayment, balance: Math.max(0, balance) });
         }
 
+        const schedule = { rows, payoffMonth: rows.length, totalInterest, totalPaid };
+        if (this.scheduleCache.size > 200) {
+            this.scheduleCache.clear();
+        }
+        this.scheduleCache.set(key, schedule);
         return schedule;
     }
+
+    /**
+     * Остаток долга по графику после N месяцев
+     * @param {Object} liability - Обязательство
+     * @param {number} months - Прошедшие месяцы (дробная часть отбрасывается)
+     * @returns {number} Остаток долга
+     */
+    getScheduleBalance(liability, months) {
+        const paid = Math.floor(months + 1e-9);
+        if (paid <= 0) {
+            return liability.principal || 0;
+        }
+
+        const rows = this.buildSchedule(liability).rows;
+        return paid <= rows.length ? rows[paid - 1].balance : 0;
+    }
+
+    /**
+     * Эффект досрочных погашений: новая дата закрытия, экономия на процентах и текущий платеж
+     * @param {Object} liability - Обязательство
+     * @returns {Object} { payoffMonth, payoffDate, monthsSaved, interest, interestSaved,
+     *                   finalPayment: регулярный платеж в конце графика (после уменьшения платежа) }
+     */
+    getPrepaymentSummary(liability) {
+        const base = this.buildSchedule(liability, false);
+        const schedule = this.buildSchedule(liability);
+        const rows = schedule.rows;
+
+        return {
+            payoffMonth: schedule.payoffMonth,
+            payoffDate: this.getLoanMonthDate(liability, schedule.payoffMonth),
+            monthsSaved: base.payoffMonth - schedule.payoffMonth,
+            interest: schedule.totalInterest,
+            interestSaved: base.totalInterest - schedule.totalInterest,
+            // Последний платеж обычно неполный - берем предпоследний
+            finalPayment: rows.length > 1 ? rows[rows.length - 2].payment : rows[0]?.payment || 0
+        };
+    }
 }
 
 // Создаем глобальный экземпляр
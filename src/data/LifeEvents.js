@@ -0,0 +1,143 @@
+/**
+ * LifeEvents - Справочник жизненных событий: разовые поступления и траты
+ * (покупка квартиры, наследство, свадьба) с источником средств
+ */
+class LifeEvents {
+    constructor() {
+        // Шаблоны событий: направление, источник средств и приобретаемый актив по умолчанию
+        this.eventTypes = {
+            purchase: {
+                name: 'Покупка недвижимости',
+                icon: '🏠',
+                direction: 'outflow',
+                funding: 'loan',
+                acquire: 'realty',
+                loanType: 'mortgage',
+                defaultAmount: 12000000
+            },
+            car: {
+                name: 'Покупка автомобиля',
+                icon: '🚗',
+                direction: 'outflow',
+                funding: 'portfolio',
+                acquire: null,
+                loanType: 'auto',
+                defaultAmount: 3000000
+            },
+            wedding: {
+                name: 'Свадьба',
+                icon: '💍',
+                direction: 'outflow',
+                funding: 'portfolio',
+                acquire: null,
+                loanType: 'consumer',
+                defaultAmount: 1500000
+            },
+            education: {
+                name: 'Образование',
+                icon: '🎓',
+                direction: 'outflow',
+                funding: 'portfolio',
+                acquire: null,
+                loanType: 'consumer',
+                defaultAmount: 2000000
+            },
+            inheritance: {
+                name: 'Наследство',
+                icon: '📜',
+                direction: 'inflow',
+                funding: 'portfolio',
+                acquire: null,
+                loanType: 'consumer',
+                defaultAmount: 5000000
+            },
+            other: {
+                name: 'Другое событие',
+                icon: '📌',
+                direction: 'outflow',
+                funding: 'portfolio',
+                acquire: null,
+                loanType: 'consumer',
+                defaultAmount: 1000000
+            }
+        };
+
+        this.directions = {
+            outflow: 'Трата',
+            inflow: 'Поступление'
+        };
+
+        // Источник трат и назначение поступлений
+        this.fundingSources = {
+            portfolio: 'Весь портфель',
+            asset: 'Актив',
+            loan: 'Новый кредит'
+        };
+    }
+
+    /**
+     * Получить информацию о типе события
+     * @param {string} eventType - Тип события
+     * @returns {Object} Шаблон события (другое событие, если тип неизвестен)
+     */
+    getEventInfo(eventType) {
+        return this.eventTypes[eventType] || this.eventTypes.other;
+    }
+
+    /**
+     * Получить все типы событий
+     */
+    getAllEventTypes() {
+        return this.eventTypes;
+    }
+
+    /**
+     * Создать событие по шаблону
+     * @param {string} eventType - Тип события
+     * @param {number} yearsFromNow - Через сколько лет наступает событие
+     * @returns {Object} Событие
+     */
+    createDefaultEvent(eventType, yearsFromNow = 1) {
+        const eventInfo = this.getEventInfo(eventType);
+        const liabilityInfo = window.liabilityClasses?.getLiabilityInfo(eventInfo.loanType);
+
+        const date = new Date();
+        date.setFullYear(date.getFullYear() + yearsFromNow);
+
+        return {
+            id: this.generateEventId(eventType),
+            type: eventType,
+            name: eventInfo.name,
+            date: date.toISOString().split('T')[0],
+            amount: eventInfo.defaultAmount,
+            direction: eventInfo.direction, // 'outflow' | 'inflow'
+            funding: eventInfo.funding, // 'portfolio' | 'asset' | 'loan' (только для трат)
+            assetId: null, // Актив-источник трат или получатель поступлений при funding: 'asset'
+            acquire: eventInfo.acquire, // Тип актива, который появляется в портфеле (null - деньги потрачены)
+            loan: {
+                type: eventInfo.loanType,
+                rate: liabilityInfo?.defaultRate || 0,
+                termYears: liabilityInfo?.defaultTerm || 1,
+                paymentType: 'annuity' // 'annuity' | 'differentiated'
+            },
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Генерация ID для события
+     * @param {string} eventType - Тип события
+     * @returns {string} Уникальный ID
+     */
+    generateEventId(eventType) {
+        const timestamp = Date.now();
+        const random = Math.random().toString(36).substr(2, 5);
+        return `event_${eventType}_${timestamp}_${random}`;
+    }
+}
+
+// Создаем глобальный экземпляр
+window.lifeEvents = new LifeEvents();
+
+// Экспортируем класс
+window.LifeEvents = LifeEvents;
@@ -0,0 +1,165 @@
+/**
+ * TaxRules - Справочник правил НДФЛ для инвестиционных доходов
+ * Ставки, типы счетов (брокерский, ИИС А/Б/ИИС-3), льгота долгосрочного владения (ЛДВ)
+ * и профили выплат по классам активов
+ */
+class TaxRules {
+    constructor() {
+        // Прогрессивная шкала по доходам от инвестиций (с 2025 года)
+        this.ndfl = {
+            rate: 13,
+            highRate: 15,
+            threshold: 2400000
+        };
+
+        // ЛДВ: ценные бумаги, которыми владели от 3 лет, освобождаются в пределах 3 млн ₽ за каждый год владения
+        this.ldv = {
+            minYears: 3,
+            annualLimit: 3000000
+        };
+
+        // Проценты по вкладам не облагаются в пределах 1 млн ₽ × максимальная ключевая ставка года
+        this.depositExemptionBase = 1000000;
+
+        // Недвижимость освобождается от налога при продаже после минимального срока владения
+        this.realtyMinYears = 5;
+
+        this.accountTypes = {
+            regular: {
+                name: 'Брокерский счет',
+                description: 'Выплаты облагаются ежегодно, прибыль - при продаже, действует ЛДВ',
+                yearlyTax: true,
+                deductionLimit: 0,
+                incomeExempt: false,
+                exemptLimit: 0,
+                minYears: 0,
+                ldv: true
+            },
+            iis_a: {
+                name: 'ИИС тип А',
+                description: 'Вычет 13% со взносов до 400 тыс. ₽ в год, доход облагается при закрытии',
+                yearlyTax: false,
+                deductionLimit: 400000,
+                incomeExempt: false,
+                exemptLimit: 0,
+                minYears: 3,
+                ldv: false
+            },
+            iis_b: {
+                name: 'ИИС тип Б',
+                description: 'Доход освобожден от НДФЛ при сроке от 3 лет',
+                yearlyTax: false,
+                deductionLimit: 0,
+                incomeExempt: true,
+                exemptLimit: Infinity,
+                minYears: 3,
+                ldv: false
+            },
+            iis3: {
+                name: 'ИИС-3',
+                description: 'Вычет на взносы до 400 тыс. ₽ в год и освобождение дохода до 30 млн ₽ при сроке от 5 лет',
+                yearlyTax: false,
+                deductionLimit: 400000,
+                incomeExempt: true,
+                exemptLimit: 30000000,
+                minYears: 5,
+                ldv: false
+            }
+        };
+
+        // Какая часть доходности выплачивается деньгами (% от стоимости в год)
+        // incomeYield: null - весь доход выплачивается (проценты по вкладам)
+        this.incomeProfiles = {
+            stocks: { incomeType: 'dividend', name: 'Дивиденды', incomeYield: 4 },
+            bonds: { incomeType: 'coupon', name: 'Купоны', incomeYield: 7 },
+            cash: { incomeType: 'deposit', name: 'Проценты по вкладам', incomeYield: null },
+            realty: { incomeType: null, name: 'Рост стоимости', incomeYield: 0 }
+        };
+    }
+
+    /**
+     * Получить информацию о типе счета
+     * @param {string} accountType - Тип счета
+     * @returns {Object} Характеристики счета (брокерский, если тип неизвестен)
+     */
+    getAccountInfo(accountType) {
+        return this.accountTypes[accountType] || this.accountTypes.regular;
+    }
+
+    /**
+     * Получить все типы счетов
+     */
+    getAllAccountTypes() {
+        return this.accountTypes;
+    }
+
+    /**
+     * Профиль выплат класса активов
+     * @param {string} assetType - Тип актива
+     * @returns {Object} { incomeType, name, incomeYield }
+     */
+    getIncomeProfile(assetType) {
+        return this.incomeProfiles[assetType] || { incomeType: null, name: 'Рост стоимости', incomeYield: 0 };
+    }
+
+    /**
+     * Доля выплат актива: собственная настройка или профиль класса
+     * @param {Object} asset - Актив
+     * @returns {number|null} % от стоимости в год, null - выплачивается весь доход
+     */
+    getIncomeYield(asset) {
+        const own = asset.tax?.incomeYield;
+        return typeof own === 'number' ? own : this.getIncomeProfile(asset.type).incomeYield;
+    }
+
+    /**
+     * Налоговые параметры актива по умолчанию
+     */
+    createDefaultAssetTax() {
+        return {
+            account: 'regular',
+            holdingYears: 0, // Сколько лет актив уже во владении (для ЛДВ и срока ИИС)
+            incomeYield: null // null - по профилю класса активов
+        };
+    }
+
+    /**
+     * НДФЛ по прогрессивной шкале
+     * @param {number} base - Налоговая база за год
+     * @param {Object} taxSettings - Настройки налогов
+     * @returns {number} Сумма налога
+     */
+    calculateNdfl(base, taxSettings = {}) {
+        if (base <= 0) return 0;
+
+        const rate = (taxSettings.rate ?? this.ndfl.rate) / 100;
+        const highRate = (taxSettings.highRate ?? this.ndfl.highRate) / 100;
+        const threshold = taxSettings.threshold ?? this.ndfl.threshold;
+
+        return Math.min(base, threshold) * rate + Math.max(0, base - threshold) * highRate;
+    }
+
+    /**
+     * Необлагаемая сумма процентов по вкладам за год
+     * @param {Object} taxSettings - Настройки налогов
+     * @returns {number} Сумма в рублях
+     */
+    getDepositExemption(taxSettings = {}) {
+        return this.depositExemptionBase * (taxSettings.depositKeyRate ?? 0) / 100;
+    }
+
+    /**
+     * Лимит ЛДВ для бумаг, которыми владели заданное число лет
+     * @param {number} years - Срок владения в годах
+     * @returns {number} Освобождаемая прибыль в рублях
+     */
+    getLdvExemption(years) {
+        return years >= this.ldv.minYears ? this.ldv.annualLimit * Math.floor(years) : 0;
+    }
+}
+
+// Создаем глобальный экземпляр
+window.taxRules = new TaxRules();
+
+// Экспортируем класс
+window.TaxRules = TaxRules;
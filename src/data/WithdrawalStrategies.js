@@ -0,0 +1,44 @@
+/**
+ * WithdrawalStrategies - Справочник стратегий изъятий на пенсии
+ * и параметры пенсионного плана по умолчанию
+ */
+class WithdrawalStrategies {
+    constructor() {
+        this.strategies = {
+            fixed: {
+                name: 'Фиксированная реальная сумма',
+                description: 'Каждый год изымаются расходы, проиндексированные на инфляцию'
+            },
+            percentage: {
+                name: 'Процент от портфеля',
+                description: 'Каждый год изымается заданный процент от стоимости портфеля на начало года - деньги не кончаются, но расходы колеблются'
+            },
+            guardrails: {
+                name: 'Коридор (guardrails)',
+                description: 'Индексируемая сумма сокращается, когда ставка изъятия выходит за верхнюю границу, и повышается, когда опускается ниже нижней'
+            }
+        };
+    }
+
+    /**
+     * Получить информацию о стратегии
+     * @param {string} strategy - Стратегия
+     * @returns {Object} { name, description } (фиксированная сумма, если стратегия неизвестна)
+     */
+    getStrategyInfo(strategy) {
+        return this.strategies[strategy] || this.strategies.fixed;
+    }
+
+    /**
+     * Получить все стратегии
+     */
+    getAllStrategies() {
+        return this.strategies;
+    }
+}
+
+// Создаем глобальный экземпляр
+window.withdrawalStrategies = new WithdrawalStrategies();
+
+// Экспортируем класс
+window.WithdrawalStrategies = WithdrawalStrategies;
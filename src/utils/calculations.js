@@ -5,6 +5,59 @@ class Calculations {
     constructor() {
         this.DAYS_IN_YEAR = 365;
         this.MONTHS_IN_YEAR = 12;
+
+        // Генератор случайных чисел для всех стохастических расчетов
+        this.seed = null;
+        this.rng = Math.random;
+    }
+
+    /**
+     * Установить зерно генератора случайных чисел
+     * Одинаковое зерно дает одинаковую последовательность (воспроизводимые симуляции)
+     * @param {number|null} seed - Зерно; null - вернуть Math.random
+     */
+    setSeed(seed) {
+        if (seed === null || seed === undefined || seed === '') {
+            this.seed = null;
+            this.rng = Math.random;
+            return;
+        }
+
+        this.seed = Number(seed) >>> 0;
+        this.rng = this.createSeededRandom(this.seed);
+    }
+
+    /**
+     * Создать генератор псевдослучайных чисел Mulberry32
+     * @param {number} seed - 32-битное зерно
+     * @returns {function} Функция, возвращающая числа в диапазоне [0, 1)
+     */
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Сгенерировать новое случайное зерно
+     * @returns {number} Целое число от 1 до 2^31 - 1
+     */
+    generateSeed() {
+        return Math.floor(Math.random() * 2147483646) + 1;
+    }
+
+    /**
+     * Равномерное случайное число из текущего генератора
+     * @returns {number} Число в диапазоне [0, 1)
+     */
+    random() {
+        return this.rng();
     }
 
     /**
@@ -385,12 +438,73 @@ class Calculations {
      * @returns {number} Случайное число
      */
     normalRandom(mean = 0, stdDev = 1) {
-        const u1 = Math.random();
-        const u2 = Math.random();
+        // 1 - random() исключает log(0)
+        const u1 = 1 - this.random();
+        const u2 = this.random();
         const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
         return z0 * stdDev + mean;
     }
 
+    /**
+     * Разложение Холецкого корреляционной (ковариационной) матрицы
+     * Используется для генерации коррелированных случайных величин
+     * @param {Array} matrix - Симметричная положительно полуопределенная матрица
+     * @returns {Array} Нижнетреугольная матрица L, такая что L * L^T = matrix
+     */
+    choleskyDecomposition(matrix) {
+        const n = matrix.length;
+        const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = 0;
+                for (let k = 0; k < j; k++) {
+                    sum += lower[i][k] * lower[j][k];
+                }
+
+                if (i === j) {
+                    // Защита от погрешностей округления у вырожденных матриц
+                    lower[i][j] = Math.sqrt(Math.max(matrix[i][i] - sum, 0));
+                } else {
+                    lower[i][j] = lower[j][j] > 0 ? (matrix[i][j] - sum) / lower[j][j] : 0;
+                }
+            }
+        }
+
+        return lower;
+    }
+
+    /**
+     * Вектор коррелированных стандартных нормальных величин
+     * @param {Array} choleskyMatrix - Результат choleskyDecomposition
+     * @returns {Array} Случайные величины с заданной корреляцией
+     */
+    correlatedNormalRandom(choleskyMatrix) {
+        const independent = choleskyMatrix.map(() => this.normalRandom());
+
+        return choleskyMatrix.map(row =>
+            row.reduce((sum, weight, k) => sum + weight * independent[k], 0)
+        );
+    }
+
+    /**
+     * Перцентиль выборки (линейная интерполяция)
+     * @param {Array} values - Массив значений
+     * @param {number} percent - Перцентиль (0-100)
+     * @returns {number} Значение перцентиля
+     */
+    percentile(values, percent) {
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = (sorted.length - 1) * percent / 100;
+        const lowerIndex = Math.floor(position);
+        const upperIndex = Math.ceil(position);
+        const weight = position - lowerIndex;
+
+        return sorted[lowerIndex] * (1 - weight) + sorted[upperIndex] * weight;
+    }
+
     /**
      * Статистика по результатам Монте-Карло
      * @param {Array} scenarios - Результаты симуляции